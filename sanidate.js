@@ -16,7 +16,8 @@ void(0); // tells uglfy to not keep docs below
  * sanitizing user-supplied data. It uses a developer-defined constraint schema
  * and converts input data into valid and properly formatted data. It can be
  * used both on server- and client-side, and provides middlewares for
- * [Express.js](http://expressjs.com/), and 
+ * [Express.js](http://expressjs.com/), [Koa](http://koajs.com/),
+ * [Fastify](https://www.fastify.io/), plain Node.js `http` server, and 
  * [FragRouter](https://github.com/foxbunny/FragRouter), as well as a jQuery
  * plugin.
  *
@@ -49,7 +50,9 @@ void(0); // tells uglfy to not keep docs below
  * Unlike some of the validation frameworks for JavaScript, Sanidate is fully
  * asynchronous, which means it supports asynchronous operations like database
  * lookups in its constraint functions. In fact, it ships with two
- * Mongoose-specific constraints all good to go.
+ * database lookup constraints all good to go, which work with Mongoose
+ * models out of the box, and with any other data store through simple
+ * adapters.
  *
  * ## Basic usage
  *
@@ -66,6 +69,22 @@ void(0); // tells uglfy to not keep docs below
  *       console.log(data);
  *     });
  *
+ * If you omit the callback, `sanidate.check()` returns a promise instead.
+ * The promise is resolved with an object that has `errors` and `data` keys,
+ * which are the same as the two arguments passed to the callback. Note that
+ * failed validation does _not_ reject the promise. It is only rejected when
+ * something goes wrong with the sanidation itself (e.g., there is a typo in
+ * the schema).
+ *
+ *     var result = await sanidate.check(data, schema);
+ *     if (result.errors) { return console.log('Error!'); }
+ *     console.log(result.data);
+ *
+ * Sanidate uses the global `Promise` constructor if it's available. In
+ * environments where it's not available, or if you prefer some other
+ * implementation, you can assign any Promises/A+ compatible constructor to
+ * `sanidate.Promise`.
+ *
  * ## Sanidation schema
  *
  * Sanidation schema is an object that describes your desired output. Since
@@ -122,6 +141,48 @@ void(0); // tells uglfy to not keep docs below
  * a value is present, use the 'optional' constraint as the first constraint,
  * followed by other constraints.
  *
+ * ## Nested data
+ *
+ * Data does not have to be flat. If the value of a schema key is an object
+ * (rather than a string or an array), it is treated as a schema for the
+ * nested object found under that key. Alternatively, you can use dotted paths
+ * as keys. The following two schemas are equivalent:
+ *
+ *     var schema = {
+ *       name: 'required',
+ *       address: {
+ *         street: 'required',
+ *         zip: 'zip'
+ *       }
+ *     };
+ *
+ *     var schema = {
+ *       name: 'required',
+ *       'address.street': 'required',
+ *       'address.zip': 'zip'
+ *     };
+ *
+ * Either way, the sanidated data will have the same nested shape as the
+ * input (e.g., `{name: 'Foo', address: {street: 'Bar', zip: '12345'}}`), and
+ * errors will be keyed by full paths (e.g., `{'address.zip': 'zip'}`).
+ * Nested objects which were not supplied at all are not created for their
+ * optional parameters, so sanidated data has no `address` key if there was
+ * no address in the input, and all its parameters are optional.
+ *
+ *     sanidate.check({name: 'Foo'}, {
+ *       name: 'required',
+ *       address: {street: 'optional', zip: 'optional'}
+ *     }, function(err, data) {
+ *       // data is {name: 'Foo'}, without the `address` key
+ *     });
+ *
+ * If the input data is flat, and uses dotted paths as its keys (which is
+ * common with form posts), the values are looked up using those keys.
+ *
+ * Constraints that refer to other parameters, like 'derive' and
+ * 'optionalIfPresent', also accept dotted paths, and the parameter name
+ * available to custom constraints is the full path of the parameter.
+ *
  * ## Constraint chaining
  *
  * If you use more than one constraint on a parameter, you should keep in mind
@@ -136,13 +197,39 @@ void(0); // tells uglfy to not keep docs below
  * filtered by previous layers. This is also important to remember when
  * handling validation errors, because, for a set of chained constarints, error
  * will only be registered for the first constraint that reports validations
- * failure.
+ * failure (unless you ask Sanidate to collect all failures, see below).
  *
  * The built-in constraints are constructed in such a way that you usually only
  * need one of them at a time, so chaining should generally not be required.
  * For example, 'max' constraint may also serve as either 'numeric' or 
  * 'integer' constraint becuase it will fail if value is not a valid number.
  *
+ * ## Collecting all failures
+ *
+ * Sometimes it's useful to tell the user about all problems with a value at
+ * once (e.g., password that is both too short, and doesn't contain any
+ * digits). To do that, pass the `collectAll` option to `sanidate.check()`:
+ *
+ *     var schema = {
+ *       password: ['required', ['match', /\d/], ['custom', strength]]
+ *     };
+ *
+ *     sanidate.check(data, schema, {collectAll: true}, function(err, data) {
+ *       // err.errors is:
+ *       //   {password: ['match', 'strength']}
+ *     });
+ *
+ * In this mode, the `errors` mapping contains an array of failed constraint
+ * names for each parameter, instead of a single name. The `count` is still
+ * the number of failed parameters.
+ *
+ * Only constraints that merely check the value (like 'match', 'enum', or
+ * 'custom') are allowed to fail without stopping the chain. Constraints
+ * which convert the value (like 'integer' or 'date') still stop the chain
+ * when they fail, because constraints that follow them would not get the
+ * value they expect. The list of constraints that don't stop the chain is
+ * in `sanidate.collectable`.
+ *
  * ## Built-in constraints
  *
  * Sanidate ships with a handful of (arguably) very useful constraints. These
@@ -157,37 +244,116 @@ void(0); // tells uglfy to not keep docs below
  *  + match: [pattern] Fails if value does not match the regexp `pattern`
  *  + enum: [allowed] Fails if value does not appear in `allowed` array of
  *    strings
- *  + numeric: Forces conversion to float, and fails when conversion fails
- *  + integer: Forces conversion to integer and fails when conversion fails
+ *  + numeric: [strict] Forces conversion to float, and fails when conversion
+ *    fails (in strict mode, the whole value must be a number)
+ *  + integer: [strict] Forces conversion to integer and fails when conversion
+ *    fails (in strict mode, values with fractional part, and unsafe integers
+ *    fail)
  *  + max: [x, integer, equality] Forces conversion to float or integer (if
  *    `integer` flag is set to `true`), and, depending on equality boolean
  *    falg, fails if greater than or greater _and_ equal to `x`
  *  + min: [x, integer, equality] Same as `max`, but fails if less than / less
  *    than or equal to`x`
- *  + date: [resetTime] Forces conversion to Date, and fails if conversion
- *    fails (does not work with any particular date format, so if date
- *    formatting is required, insert the `match` constraint before date
- *    constraint)
+ *  + between: [lo, hi, options] Forces conversion to number, and fails if
+ *    it's not between `lo` and `hi` (see `sanidate.funcs.between` for
+ *    exclusive ranges)
+ *  + decimal: [places, round] Forces conversion to number, and fails if it
+ *    has more than `places` decimal places, or rounds it if `round` flag is
+ *    set
+ *  + money: [places] Converts amount to integer number of minor units (e.g.,
+ *    '12.50' becomes 1250)
+ *  + date: [options] Forces conversion to Date, and fails if conversion
+ *    fails; options can specify accepted formats (e.g., 'iso', or
+ *    'DD.MM.YYYY'), UTC interpretation, and whether to reset time (see
+ *    `sanidate.funcs.date`)
+ *  + minDate: [limit] Fails if date is earlier than `limit`, which can be a
+ *    date, or relative to current time (e.g., 'today', or '-1y')
+ *  + maxDate: [limit] Fails if date is later than `limit` (e.g., 'now' for
+ *    dates that must not be in the future)
  *  + email: Fails if value is not an email
  *  + zip: Fails if value is not a 5-digit number (such as US zip code)
  *  + phone: [digitsOnly] Fails if value does not _contain_ 10 digits 
  *    (disregaring any other non-numeric characters), and returns either only
- *    the digits (if `digitsOnly` flag is set to `true`), or formatted phone
- *    number (currently only supports US phone format)
+ *    the digits (if `digitsOnly` flag is set to `true`), or formatted US
+ *    phone number
+ *  + phone: [country, format] Fails if value is not a valid phone number in
+ *    `country` (or one of the countries in an array), and returns it in
+ *    E.164, national, or digits-only `format` (see `sanidate.funcs.phone`)
+ *  + postalCode: [country] Fails if value is not a valid postal code in
+ *    `country` ('US' by default), and returns it in canonical format
+ *    (unknown countries are rejected when the schema is compiled)
+ *  + url: [schemes, normalize] Fails if value is not an absolute URL with one
+ *    of the `schemes` ('http' and 'https' by default), and optionally
+ *    normalizes it
+ *  + ipv4: Fails if value is not an IPv4 address
+ *  + ipv6: Fails if value is not an IPv6 address, and returns it in
+ *    canonical format
+ *  + cidr: [version] Fails if value is not an IP address range in CIDR
+ *    notation
+ *  + uuid: [version] Fails if value is not a UUID (of given `version`), and
+ *    returns it in lower case
+ *  + hostname: Fails if value is not a host name, and returns it in lower
+ *    case
+ *  + creditCard: [brands] Fails if value is not a credit card number (of one
+ *    of the `brands`), and returns only its digits
+ *  + iban: Fails if value is not an IBAN, and returns it without spaces
  *  + isTrue: Returns `true` if value is 'true', 'yes', 'on', or '1', otherwise
  *    returns `false`, and never fails
  *  + isNotTrue: Returns `false` if value is 'false', 'no', 'off', or '0',
  *    otherwise returns `true`, and never fails
  *  + strictBoolean: [optional, def] Requires parameter to be strictly boolean,
  *    and fails if it's not, or always passes if `optional` flag is set.
- *  + isDocument: [Model, key] Looks up Mongoose model using either supplied
- *    optional `key`, or parameter name as key name, and fails if no documents
- *    are found; value is converted to returned document
- *  + isNotDocument: [Model, key] Same as 'isDocument', but fails if document
- *    _is_ found, and returns original value on success.
+ *  + isDocument: [source, key, extra] Looks up a record in `source` (a
+ *    Mongoose model, or any data store using lookup adapters, see
+ *    `sanidate.adapters`) using either supplied optional `key`, or parameter
+ *    name as key name (and optional `extra` criteria from other
+ *    parameters), and fails if no records are found; value is converted to
+ *    returned record
+ *  + isNotDocument: [source, key, extra] Same as 'isDocument', but fails if
+ *    record _is_ found, and returns original value on success.
  *  + custom: [func] Uses the `func` function as constraint
  *  + derive: [paramName, func] Uses parameter `paramName` from original
  *    user-supplied data, and applies `func` validation function to its value
+ *  + each: [constraints] Applies `constraints` (an array of constraints, or
+ *    a nested schema) to each member of an array value, and fails if any of
+ *    the members fail; a single non-array value is treated as an array with
+ *    one member
+ *  + minItems: [n] Fails if array has fewer than `n` members
+ *  + maxItems: [n] Fails if array has more than `n` members
+ *  + unique: [key] Fails if array has duplicate members (or duplicate values
+ *    of the `key` property if members are objects)
+ *  + minLength: [min] Fails if string (or array) is shorter than `min`;
+ *    strings are measured in Unicode code points
+ *  + maxLength: [max] Fails if string (or array) is longer than `max`, or
+ *    missing
+ *  + length: [min, max] Fails if string (or array) is shorter than `min` or
+ *    longer than `max`
+ *  + when: [condition, then, otherwise] Applies `then` constraints if
+ *    `condition` on other parameters is met, and `otherwise` constraints (if
+ *    any) if it's not (see 'Conditional constraints' section)
+ *
+ * There are also constraints which never fail, and only clean up string
+ * values (values of other types are passed on as is):
+ *
+ *  + trim: Removes whitespace from both ends
+ *  + lowercase: Converts to lower case
+ *  + uppercase: Converts to upper case
+ *  + collapseWhitespace: Replaces runs of whitespace with a single space
+ *  + truncate: [n] Shortens the value to at most `n` characters
+ *  + escapeHTML: Escapes HTML special characters
+ *  + stripTags: [allowed] Removes HTML tags, except those in `allowed`
+ *    array, and escapes stray `<` and `>` characters
+ *  + normalizeUnicode: [form] Converts to Unicode normalization form `form`
+ *    ('NFC' by default)
+ *  + stripControlChars: Removes control characters, except tabs and line
+ *    breaks
+ *
+ * Sanitizing constraints are normally placed before validating ones:
+ *
+ *     var schema = {
+ *       email: ['trim', 'lowercase', 'email'],
+ *       bio: ['optional', 'stripTags', ['truncate', 500]]
+ *     };
  *
  * Note that you _can_ use multiple 'custom' constraints for any user-supplied
  * data.
@@ -197,15 +363,197 @@ void(0); // tells uglfy to not keep docs below
  * Sanidation errors are returned as first argument to the callback you pass to
  * `sanidate.check()`. If there are no errors, you will receive `null` instead.
  *
- * If there are any errors, the error object will have two keys. 
+ * If there are any validation errors, the error object will have three keys. 
  *
  * The `count` represents an integer count of errors. This number can never be
- * higher than the number of parameters that were sanidated. 
+ * higher than the number of parameters that were sanidated, unless 'each'
+ * constraint is used (see below). 
  *
  * The `errors` key will contain a object mapping between parameter names and
  * constraint names. Constraint names in the mapping represent the names of
  * constraints for which the parameter values failed validation.
  *
+ * When 'each' constraint fails, errors are reported for each failed member of
+ * the array, using member's index in the parameter name. For example, if the
+ * third member of `tags` array is not an integer, the error will be reported
+ * as `{'tags.2': 'integer'}`. Each failed member counts as one error.
+ *
+ * The `messages` key maps the same parameter names to human-readable error
+ * messages (see the next section).
+ *
+ * ### Error messages
+ *
+ * Error messages are looked up in the `sanidate.messages` catalog using the
+ * constraint names, and the constraint arguments are interpolated into them.
+ * For example, if `age` fails the `['min', 18, true, true]` constraint, the
+ * message will be 'age must be at least 18'.
+ *
+ * Since parameter names are rarely suitable for end users, you can provide
+ * labels using `$labels` key in the schema:
+ *
+ *     var schema = {
+ *       age: [['min', 18, true, true]],
+ *       $labels: {
+ *         age: 'Your age'
+ *       }
+ *     };
+ *
+ * You can also override messages using `$messages` key. String values
+ * override the messages for a constraint within the whole schema, and object
+ * values override the messages for a single parameter:
+ *
+ *     var schema = {
+ *       age: [['min', 18, true, true]],
+ *       email: ['required', 'email'],
+ *       $messages: {
+ *         required: 'Please fill in {label}',
+ *         age: {
+ *           min: 'You must be {x} or older'
+ *         }
+ *       }
+ *     };
+ *
+ * Both `$labels` and `$messages` can also be passed as `labels` and
+ * `messages` options to `sanidate.check()`, in which case they take
+ * precedence over the ones in the schema. Labels and messages for members of
+ * arrays can be specified using the array's name (e.g., `tags` instead of
+ * `tags.2`), and for keys of array members checked against nested schemas,
+ * using the array's name and the key (e.g., `items.qty` instead of
+ * `items.2.qty`):
+ *
+ *     var schema = {
+ *       items: [['each', {qty: 'integer'}]],
+ *       $labels: {
+ *         'items.qty': 'Quantity'
+ *       }
+ *     };
+ *
+ * Locale of the messages defaults to `sanidate.locale`, and can be selected
+ * for each call using the `locale` option. Messages that are missing in the
+ * selected locale are looked up in the default locale, and then in the
+ * English catalog. The `locale` option only affects messages, and the
+ * format of numbers and booleans is selected separately using the
+ * `numberLocale` option (see `sanidate.locales`).
+ *
+ * Keys starting with `$` are reserved, and are never treated as parameter
+ * names.
+ *
+ * ## Conditional constraints
+ *
+ * The 'when' constraint applies one of two sets of constraints depending on
+ * values of other parameters. For example, to require a card number only if
+ * payment method is 'card', and ignore it otherwise:
+ *
+ *     var schema = {
+ *       paymentMethod: [['enum', ['card', 'cash']]],
+ *       cardNumber: [
+ *         ['when', {field: 'paymentMethod', is: 'card'}, 
+ *           ['required', ['match', /^\d{16}$/]]]
+ *       ]
+ *     };
+ *
+ * The second set of constraints is passed as the third argument, and is
+ * applied when condition is not met:
+ *
+ *     shippingAddress: [
+ *       ['when', {field: 'sameAddress', present: true},
+ *         ['optional'],
+ *         ['required']]
+ *     ]
+ *
+ * Conditions are always evaluated against the original data, like with
+ * 'derive'. See `sanidate.funcs.when` for the list of supported conditions.
+ *
+ * Since conditions are plain objects, 'when' can also be used in JSON
+ * schemas (see `sanidate.prepareSchema`). Condition functions, and `test`
+ * functions in conditions, can be specified as names of functions in the
+ * module passed to `sanidate.prepareSchema`:
+ *
+ *     {
+ *       "vatNumber": [
+ *         ["when", {"field": "country", "test": "isEU"}, ["required"], []]
+ *       ]
+ *     }
+ *
+ * ## Cross-field validation
+ *
+ * Constraints like 'derive' can only look at the _original_ values of other
+ * parameters. To validate relationships between sanidated values, use the
+ * `$validators` key in the schema. It maps validator names to validator
+ * functions, which are run after all parameters have been sanidated:
+ *
+ *     var schema = {
+ *       startDate: 'date',
+ *       endDate: 'date',
+ *       phone: ['optional', 'phone'],
+ *       email: ['optional', 'email'],
+ *       $validators: {
+ *         dateOrder: ['endDate', function(data) {
+ *           return data.endDate > data.startDate;
+ *         }],
+ *         contact: function(data) {
+ *           return !!(data.phone || data.email);
+ *         }
+ *       }
+ *     };
+ *
+ * Validator functions receive the sanidated data, and return `true` if data
+ * is valid, and `false` otherwise. Returning nothing (`undefined`) also
+ * means the data is valid, so validators may return only on failure:
+ *
+ *     function dateOrder(data) {
+ *       if (data.endDate < data.startDate) { return false; }
+ *     }
+ *
+ * As with 'custom' constraints, they can also return a promise (resolved
+ * with the result), or take a callback as second argument, and call it with
+ * an error object (or `null`) and the result. Validators that declare the
+ * callback argument _must_ call it (even if they also return a value), since
+ * validation does not complete until they do:
+ *
+ *     function contact(data, next) {
+ *       next(null, !!(data.phone || data.email));
+ *     }
+ *
+ * Validators are run one by one, in the order in which they are defined,
+ * and they have access to `this.originalData` like custom constraints.
+ * Note that sanidated data only contains parameters that passed validation.
+ *
+ * Validator failures are reported in the same error object as other
+ * failures, using the validator name as the constraint name. If validator is
+ * specified as an array, its first member is the name of the parameter (or
+ * an array of parameter names) the failure is reported for. Validators which
+ * are attached to parameters that have already failed are not run. In our
+ * example, failure of `dateOrder` will be reported as `{endDate:
+ * 'dateOrder'}`.
+ *
+ * Validators specified only as functions are form-wide, and their failures
+ * are reported using the `$form` key (e.g., `{$form: 'contact'}`). Their
+ * messages use 'The form' as the label (the `$form` key of the message
+ * catalog), unless a `$form` label is specified in `$labels`.
+ *
+ * Messages for validator failures can be customized using `$messages` like
+ * for any other constraint (see 'Error messages' section).
+ *
+ * ### System errors
+ *
+ * Errors that are not caused by invalid input, but by some unexpected
+ * condition, like a database outage during 'isDocument' lookup, are not
+ * treated as validation failures. Instead, the error object will have a
+ * `system` key, which maps parameter names to original `Error` objects
+ * passed by the constraints. Such parameters are neither counted, nor listed
+ * in the `errors` mapping, so `count` may be 0 when there are only system
+ * errors:
+ *
+ *     sanidate.check(data, schema, function(err, data) {
+ *       if (err && err.system) { return console.log('Try again later'); }
+ *       if (err) { return console.log('Invalid data', err.errors); }
+ *       console.log(data);
+ *     });
+ *
+ * When using promises, system errors cause the promise to be rejected with
+ * the first of the original `Error` objects.
+ *
  * ## Writing custom constraints
  *
  * It is possible to write custom constraint functions and use them with the 
@@ -231,13 +579,11 @@ void(0); // tells uglfy to not keep docs below
  * details. The important bit is the data we pass on to the callback. Callback
  * takes three arguments. 
  *
- * The first argument is an error object. It is currently not important, as it
- * makes little difference whether you pass an error object. Presence of an
- * error will be treated as failed validation. This behavior _will_ change in
- * future, so it's best to always pass the error object if there has been a
- * non-validation-related error (such as filesystem or database failure). In
- * later versions, Sanidate will be able to somehow tell you that there has
- * been an unexpected condition.
+ * The first argument is an error object. You should only pass an error object
+ * if there has been a non-validation-related error (such as filesystem or
+ * database failure). Such errors are reported separately from validation
+ * failures (see 'System errors' section), so do not use error objects to
+ * signal that the value is invalid.
  *
  * The second argument is sanidated value. It's important to note that only
  * `null` value is considered a failure. Falsy values like 0, empty string, and
@@ -255,6 +601,30 @@ void(0); // tells uglfy to not keep docs below
  * `null` as constraint name to foce Sanidate to use any provided value
  * (including `null`).
  *
+ * When reporting a failure, you may also pass a fourth argument to the
+ * callback. It is an object whose properties can be used as placeholders in
+ * the error message, in addition to constraint arguments (see 'Error
+ * messages' section).
+ *
+ * Instead of calling the callback, functions used with the 'custom' constraint
+ * may also simply return the sanidated value, or a promise which resolves to
+ * the sanidated value. The same `null`-means-failure convention applies, and
+ * a rejected promise is treated the same as passing an error object to the
+ * callback. Note that returning `undefined` means you will call the callback
+ * yourself (so if `undefined` is the value you want to pass on, you have to
+ * use the callback).
+ *
+ *     function minAge(v) {
+ *       v = new Date(v);
+ *       return Date.now() - v.getTime() < 20 * 24 * 60 * 60 * 1000 ? v : null;
+ *     }
+ *
+ *     function isUnique(v) {
+ *       return User.count({username: v}).exec().then(function(count) {
+ *         return count ? null : v;
+ *       });
+ *     }
+ *
  * Custom constraint functions have access to details about the parameter that
  * is being processed (like the parameter name), the original parameter value,
  * and the original values of all other parameters that are being sanidated.
@@ -349,13 +719,47 @@ void(0); // tells uglfy to not keep docs below
  *
  *     // Set up middleware using `sanidate.express()` call
  *     app.post('/user', sanidate.express(schema), function(req, res) {
- *       if (req.dataError) { return req.send('Error', 400); }
+ *       if (req.dataErrors) { return res.send('Error', 400); }
  *
  *       // Sanidated data is now available as req.data
  *
- *       req.send('Success!', 200);
+ *       res.send('Success!', 200);
+ *     });
+ *
+ * You can also let the middleware respond with an error automatically, and
+ * choose where the data is read from:
+ *
+ *     app.post('/user', sanidate.express(schema, {
+ *       source: 'body',
+ *       respond: 400
+ *     }), function(req, res) {
+ *       // Handler is only called if data is valid
+ *       res.send('Success!', 200);
  *     });
  *
+ * ## Koa, Fastify, and Node.js http examples
+ *
+ * Middlewares for other frameworks take the same options as the Express.js
+ * middleware. JSON and URL-encoded request bodies are parsed if no other
+ * middleware did it already.
+ *
+ *     // Koa: data is stored in ctx.state.data
+ *     router.post('/user', sanidate.koa(schema, {respond: true}), 
+ *       function(ctx) { ctx.body = ctx.state.data; });
+ *
+ *     // Fastify: data is stored in request.data
+ *     fastify.post('/user', {
+ *       preHandler: sanidate.fastify(schema, {respond: true})
+ *     }, function(request, reply) { reply.send(request.data); });
+ *
+ *     // Node.js http: data is stored in req.data
+ *     var validate = sanidate.http(schema, {respond: true});
+ *     http.createServer(function(req, res) {
+ *       validate(req, res, function(err) {
+ *         res.end(err ? 'Error' : JSON.stringify(req.data));
+ *       });
+ *     }).listen(8080);
+ *
  * ## FragRouter example
  *
  *     frag.addMiddleware(sanidate.frag);
@@ -372,6 +776,33 @@ void(0); // tells uglfy to not keep docs below
  *       this.sanidate(data, schema)
  *     }
  *
+ * Route parameters and querystring can also be sanidated before the handler
+ * is called, either for all routes, or for a single route:
+ *
+ *     frag.addMiddleware(sanidate.frag(schema));
+ *
+ *     frag.add('/user/:id', sanidate.frag.route({id: 'integer'}, 
+ *       function() {
+ *         if (this.dataErrors) { return; }
+ *         showUser(this.data.id);
+ *       }));
+ *
+ * ## DOM example
+ *
+ * Forms can be sanidated without jQuery, too. Sanidated data and errors are
+ * delivered using DOM events:
+ *
+ *     var form = document.getElementById('myForm');
+ *
+ *     sanidate.form(form, schema, {on: ['submit', 'input']});
+ *
+ *     form.addEventListener('sanidate:invalid', function(e) {
+ *       // e.detail.errors and e.detail.messages are the usual error maps
+ *     });
+ *     form.addEventListener('sanidate:valid', function(e) {
+ *       // e.detail.data is the sanidated data
+ *     });
+ *
  * ## jQuery example
  *
  * Although Sanidate _is_ an AMD module, it doesn't list jQuery as its
@@ -397,6 +828,12 @@ void(0); // tells uglfy to not keep docs below
  *       // `err` and `data` are the usual objects
  *     });
  *
+ * Fields can also be validated as the user fills in the form, in which case
+ * error messages are shown next to invalid fields, and form is not submitted
+ * until it's valid:
+ *
+ *     $('#myForm').sanidate(schema, {live: true});
+ *
  */
 
 (function(root, factory) {
@@ -416,6 +853,7 @@ void(0); // tells uglfy to not keep docs below
   function extractDigits(s) {
     var r = /\d+/g;
     var ss = '';
+    var match;
     while (match = r.exec(s)) {
       ss += match[0];
     }
@@ -427,409 +865,3041 @@ void(0); // tells uglfy to not keep docs below
     return '(' + s.slice(0, 3) + ') ' + s.slice(3, 6) + '-' + s.slice(6);
   }
 
-  /**
-   * ## sanidate.funcs
-   * 
-   * This object contains all of the built-in constraints that can be used by
-   * name in the sanidation schema. Each property is a function which may take
-   * one or more arguments, and which returns a sanidation function.
-   *
-   * Sanidation functions take two arguments, of which first is the value as
-   * sanidized by any previous constraints, and second is a callback which
-   * chains to next sanidizer or finishes the chain. The sanidation function
-   * works more or less the same way as custom functions (see 'Writing custom 
-   * constraints' section for more details).
-   *
-   * You can customize any of the built-in constraints by overloading the
-   * function assigned to its key in this object. You can also add new built-in
-   * constraints by adding new keys.
-   */
-  sanidate.funcs = {
-    /**
-     * ### sanidate.funcs.required()
-     *
-     * Makes value required, and won't pass if there is no value.
-     */
-    'required': function() {
-      return function(v, next) {
-        next(null, v ? v : null, 'required');
-      };
-    },
+  // Common names which are not ISO 3166-1 codes
+  var countryAliases = {UK: 'GB'};
 
-    /**
-     * ### sanidate.funcs.enum(allowed)
-     *
-     * Fails if value does not appear in `allowed` array.
-     *
-     * @param {Array} allowed Array of allowed strings
-     */
-    'enum': function(allowed) {
-      return function(v, next) {
-        next(null, allowed.indexOf(v) > -1 ? v : null, 'enum');
-      }
-    },
+  function countryCode(country) {
+    country = String(country).toUpperCase();
+    return countryAliases[country] || country;
+  }
 
-    /**
-     * ### sanidate.funcs.match(pattern)
-     *
-     * Makes value match a pattern.
-     *
-     * @param {RegExp} pattern Regexp pattern to match
-     */
-    'match': function(pattern) {
-      return function(v, next) {
-        next(null, pattern.exec(v) ? v : null, 'match');
-      };
-    },
+  function parsePhone(v, countries) {
+    var str = typeof v === 'number' ? String(v) : v;
+    var digits;
+    var international;
+    var found = null;
 
-    /**
-     * ### sanidate.funcs.numeric()
-     *
-     * Makes value numeric.
-     */
-    'numeric': function() {
-      return function(v, next) {
-        var f = parseFloat(v);
-        next(null, !isNaN(f) ? f : null, 'numeric');
-      };
-    },
+    if (typeof str !== 'string' || !/^\s*\+?[\d\s().\-\/]+$/.test(str)) {
+      return null;
+    }
+    digits = extractDigits(str);
+    international = /^\s*\+/.test(str) || /^00/.test(digits);
+    if (international) { digits = digits.replace(/^00/, ''); }
 
-    /**
-     * ### sanidate.funcs.integer()
-     *
-     * Makes value integer.
-     */
-    'integer': function() {
-      return function(v, next) {
-        var i = parseInt(v, 10);
-        next(null, !isNaN(i) ? i : null, 'integer');
-      };
-    },
+    countries.some(function(country) {
+      var meta = sanidate.phoneMeta[countryCode(country)];
+      var nsn = digits;
 
-    /**
-     * ### sanidate.funcs.min(x, integer, equality)
-     *
-     * Makes value be greater than or equal to `x`. If `integer` is `true`, it 
-     * will only do integer comparison.
-     *
-     * @param {Number} x The minimum value allowed
-     * @param {Boolean} integer Whether to do integer comparison (default: 
-     * false)
-     * @param {Boolean} equality Whether to accept equality (default: false)
-     */
-    'min': function(x, integer, equality) {
-      return function(v, next) {
-        var i = integer ? parseInt(v, 10) : parseFloat(v);
-        next(null, (!isNaN(i) && (equality ? i >= x : i > x)) ? i : null, 'min');
-      };
-    },
+      if (!meta) { return false; }
+      if (international) {
+        if (nsn.indexOf(meta.code) !== 0) { return false; }
+        nsn = nsn.slice(meta.code.length);
+      }
+      // Trunk prefix is allowed in national numbers (and, by mistake, in
+      // international ones, like '+44 (0)20 ...')
+      if (!meta.pattern.test(nsn) && meta.trunk && 
+          nsn.indexOf(meta.trunk) === 0) {
+        nsn = nsn.slice(meta.trunk.length);
+      }
+      if (!meta.pattern.test(nsn)) { return false; }
 
-    /**
-     * ### sanidate.funcs.max(x, integer, equality)
-     *
-     * Makes value be less than or equal to `x`. If `integer` is `true`, it 
-     * will only do integer comparison.
-     *
-     * @param {Number} x The maximum value allowed
-     * @param {Boolean} integer Whether to do integer comparison (default: 
-     * false)
-     * @param {Boolean} equality Whether to accept equality (default: false)
-     */
-    'max': function(x, integer, equality) {
-      return function(v, next) {
-        var i = integer ? parseInt(v, 10) : parseFloat(v);
-        next(null, (!isNaN(i) && (equality ? i <= x : i < x)) ? i : null, 'min');
-      };
-    },
+      found = {country: countryCode(country), meta: meta, nsn: nsn};
+      return true;
+    });
+    return found;
+  }
 
-    /**
-     * ### sanidate.funcs.date(resetTime)
-     *
-     * Makes value a date.
-     *
-     * @param {Boolean} resetTime Reset time to 0 if specified
-     */
-    'date': function(resetTime) {
-      return function(v, next) {
-        var d = new Date(v);
-        var valid = d.toString() !== 'Invalid Date';
+  function formatNationalPhone(phone) {
+    var nsn = phone.nsn;
+    var i = 0;
+    var template = [].concat(phone.meta.national || []).filter(function(t) {
+      return (t.match(/x/g) || []).length === nsn.length;
+    })[0];
 
-        if (resetTime && valid) {
-          d = new Date(d.getFullYear(), d.getMonth(), d.getDate());
-        }
+    if (!template) { return (phone.meta.trunk || '') + nsn; }
+    return template.replace(/x/g, function() { return nsn.charAt(i++); });
+  }
 
-        next(null, valid ? d : null, 'date');
-      };
-    },
+  function isSubSchema(v) {
+    return Object.prototype.toString.call(v) === '[object Object]';
+  }
 
-    /**
-     * ### sanidate.funcs.email()
-     *
-     * Makes value match a canonical email format.
-     */
-    'email': function() {
-      return function(v, next) {
-        next(null, emailRe.exec(v) ? v : null, 'email');
-      };
-    },
+  function extend(target, source) {
+    Object.keys(source || {}).forEach(function(key) {
+      target[key] = source[key];
+    });
+    return target;
+  }
 
-    /**
-     * ### sanidate.funcs.zip()
-     *
-     * Makes vlaue match 5-digit number. It returns the original value on
-     * match, not converted to numbers.
-     */
-    'zip': function() {
-      return function(v, next) {
-        next(null, /^\d{5}$/.exec(v) ? v : null, 'zip');
-      };
-    },
+  function getPath(obj, path) {
+    if (obj == null) { return undefined; }
+    // Flat data (e.g., form posts) may use the dotted path as a literal key
+    if (Object.prototype.hasOwnProperty.call(obj, path)) { return obj[path]; }
+    var keys = path.split('.');
+    for (var i = 0; i < keys.length; i++) {
+      if (obj == null) { return undefined; }
+      obj = obj[keys[i]];
+    }
+    return obj;
+  }
 
-    /**
-     * ### sanidate.funcs.isTrue()
-     *
+  function setPath(obj, path, val) {
+    var keys = path.split('.');
+    var last = keys.pop();
+    keys.forEach(function(key) {
+      if (!isSubSchema(obj[key])) { obj[key] = {}; }
+      obj = obj[key];
+    });
+    obj[last] = val;
+  }
+
+  // Tests if the object containing the nested parameter was not supplied
+  function missingParent(data, path) {
+    var parent = path.slice(0, Math.max(path.lastIndexOf('.'), 0));
+    return !!parent && !isSubSchema(getPath(data, parent)) &&
+      // Flat data has dotted keys instead of the object
+      !Object.keys(data || {}).some(function(key) {
+        return key.indexOf(parent + '.') === 0;
+      });
+  }
+
+  function toArray(v) {
+    return Array.isArray(v) ? v : [v];
+  }
+
+  function codePoints(str) {
+    return str.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g) || [];
+  }
+
+  function trimmed(v) {
+    return typeof v === 'string' ? v.replace(/^\s+|\s+$/g, '') : '';
+  }
+
+  var strictNumberRe = /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/;
+  var maxSafeInteger = 9007199254740991;
+
+  function localeData(locale) {
+    var locales = sanidate.locales;
+    // Never `sanidate.locale`, so messages don't change how values are parsed
+    locale = String(locale || 'en');
+    return locales[locale] || locales[locale.split(/[-_]/)[0]] || locales.en;
+  }
+
+  function delocalizeNumber(v, locale) {
+    var data;
+    var parts;
+
+    if (!locale || typeof v !== 'string') { return v; }
+    data = localeData(locale);
+    parts = trimmed(v).split(data.decimal);
+    if (parts.length > 2) { return null; }
+
+    // Group separators are only allowed between groups of three digits
+    [].concat(data.group).forEach(function(group) {
+      if (parts[0] === null || parts[0].indexOf(group) < 0) { return; }
+      parts[0] = new RegExp('^[+-]?\\d{1,3}(' + 
+                            group.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&') + 
+                            '\\d{3})+$').test(parts[0]) ? 
+        parts[0].split(group).join('') : null;
+    });
+    return parts[0] === null ? null : parts.join('.');
+  }
+
+  function parseNumber(v, integer, strict, locale) {
+    var n = NaN;
+
+    v = delocalizeNumber(v, locale);
+    if (!strict) { return integer ? parseInt(v, 10) : parseFloat(v); }
+
+    if (typeof v === 'number') {
+      n = v;
+    } else if (strictNumberRe.test(trimmed(v))) {
+      n = Number(trimmed(v));
+    }
+    if (!isFinite(n) || 
+        (integer && (n % 1 !== 0 || Math.abs(n) > maxSafeInteger))) {
+      return NaN;
+    }
+    return n;
+  }
+
+  function roundNumber(n, places) {
+    // Shifting by exponent avoids errors like 1.005 * 100 === 100.49999...
+    var abs = Math.abs(n);
+    var factor = Math.pow(10, places);
+    var rounded = Math.round(/e/.test(String(abs)) ? abs * factor : 
+                             Number(abs + 'e' + places));
+    rounded = /e/.test(String(rounded)) ? rounded / factor : 
+      Number(rounded + 'e-' + places);
+    return n < 0 ? -rounded : rounded;
+  }
+
+  function isIPv4(str) {
+    var octets = str.split('.');
+    return octets.length === 4 && octets.every(function(octet) {
+      // Leading zeros are rejected, since some parsers treat them as octal
+      return /^(0|[1-9]\d{0,2})$/.test(octet) && Number(octet) <= 255;
+    });
+  }
+
+  function parseIPv6(str) {
+    var embedded = /^(.*:)(\d+\.\d+\.\d+\.\d+)$/.exec(str);
+    var parts;
+    var head;
+    var tail;
+    var zeros = [];
+
+    if (embedded) {
+      if (!isIPv4(embedded[2])) { return null; }
+      parts = embedded[2].split('.').map(Number);
+      str = embedded[1] + ((parts[0] << 8) + parts[1]).toString(16) + ':' + 
+        ((parts[2] << 8) + parts[3]).toString(16);
+    }
+
+    parts = str.split('::');
+    if (parts.length > 2) { return null; }
+    head = parts[0] ? parts[0].split(':') : [];
+    tail = parts.length === 2 && parts[1] ? parts[1].split(':') : [];
+    if (parts.length === 1 ? head.length !== 8 : 
+        head.length + tail.length > 7) {
+      return null;
+    }
+    while (head.length + zeros.length + tail.length < 8) { zeros.push('0'); }
+
+    parts = head.concat(zeros, tail);
+    if (!parts.every(function(g) { return /^[\da-f]{1,4}$/i.test(g); })) {
+      return null;
+    }
+    return parts.map(function(g) { return parseInt(g, 16); });
+  }
+
+  function formatIPv6(groups) {
+    // Canonical format as per RFC 5952
+    var hex = groups.map(function(g) { return g.toString(16); });
+    var start = -1;
+    var length = 0;
+    var i = 0;
+    var j;
+
+    // IPv4-mapped addresses keep the IPv4 part in dotted-decimal notation
+    if (/^0,0,0,0,0,65535,/.test(groups.join(','))) {
+      return '::ffff:' + [groups[6] >> 8, groups[6] & 255, groups[7] >> 8, 
+                          groups[7] & 255].join('.');
+    }
+
+    while (i < 8) {
+      for (j = i; j < 8 && groups[j] === 0; j++) {}
+      if (j - i > length) {
+        start = i;
+        length = j - i;
+      }
+      i = j + 1;
+    }
+
+    if (length < 2) { return hex.join(':'); }
+    return hex.slice(0, start).join(':') + '::' + 
+      hex.slice(start + length).join(':');
+  }
+
+  function isHostname(str) {
+    str = str.replace(/\.$/, '');
+    return str.length > 0 && str.length <= 253 && 
+      str.split('.').every(function(label) {
+        return /^[a-z\d]([a-z\d-]{0,61}[a-z\d])?$/i.test(label);
+      });
+  }
+
+  function luhn(digits) {
+    var sum = 0;
+    digits.split('').reverse().forEach(function(d, i) {
+      d = Number(d) * (i % 2 ? 2 : 1);
+      sum += d > 9 ? d - 9 : d;
+    });
+    return sum % 10 === 0;
+  }
+
+  function mod97(str) {
+    var remainder = 0;
+    str.split('').forEach(function(c) {
+      var n = parseInt(c, 36);
+      remainder = (remainder * (n > 9 ? 100 : 10) + n) % 97;
+    });
+    return remainder;
+  }
+
+  function toAdapter(source) {
+    // Mongoose models have `find` too, so they are recognized by `findOne`
+    if (source && typeof source.findOne === 'function') {
+      return sanidate.adapters.mongoose(source);
+    }
+    return source;
+  }
+
+  function runQuery(Model, method, criteria, cb) {
+    var version = Model.base && Model.base.version;
+    var query;
+
+    // Mongoose 7+ throws if passed a callback, and its queries are run using
+    // `exec()`, which returns a promise; older versions (and other models
+    // with `findOne`) are called with a callback, which runs the query
+    if (!version || parseInt(version, 10) < 7) {
+      return Model[method](criteria, cb);
+    }
+    query = Model[method](criteria);
+    query = typeof query.exec === 'function' ? query.exec() : query;
+    query.then(function(result) { cb(null, result); }, cb);
+  }
+
+  function callAdapter(adapter, method, args, cb) {
+    var called = false;
+    var ret;
+
+    function once(err, result) {
+      if (called) { return; }
+      called = true;
+      cb(err, result);
+    }
+
+    if (method === 'exists' && typeof adapter.exists !== 'function') {
+      return callAdapter(adapter, 'find', args, function(err, record) {
+        once(err, !err && record != null);
+      });
+    }
+    try {
+      ret = adapter[method].apply(adapter, args.concat([once]));
+    } catch (e) {
+      return once(e);
+    }
+    if (isThenable(ret)) {
+      ret.then(function(result) { once(null, result); }, once);
+    }
+  }
+
+  function lookupCriteria(paramObject, key, v, extra) {
+    var criteria = {};
+    criteria[key] = v;
+    Object.keys(extra || {}).forEach(function(field) {
+      var source = extra[field];
+      criteria[field] = typeof source === 'function' ? 
+        source(paramObject.originalData) : 
+        getPath(paramObject.originalData, source);
+    });
+    return criteria;
+  }
+
+  function loadRecord(paramObject, adapter, method, key, criteria, cb) {
+    var loader = paramObject.options.loader;
+    if (loader) { return loader.load(adapter, method, key, criteria, cb); }
+    callAdapter(adapter, method, [criteria], cb);
+  }
+
+  function sameValue(a, b) {
+    // Data stores cast values (e.g., ObjectIds), so compare string forms
+    return a === b || (a != null && b != null && String(a) === String(b));
+  }
+
+  function defer(func) {
+    if (typeof setImmediate === 'function') { return setImmediate(func); }
+    setTimeout(func, 0);
+  }
+
+  function flushBatch(batch) {
+    var values = [];
+    batch.lookups.forEach(function(lookup) {
+      if (values.indexOf(lookup.value) < 0) { values.push(lookup.value); }
+    });
+    callAdapter(batch.adapter, 'findAll', [batch.key, values, batch.criteria],
+                function(err, records) {
+      batch.lookups.forEach(function(lookup) {
+        if (err) { return lookup.resolve(err); }
+        var record = (records || []).filter(function(record) {
+          return sameValue(getPath(record, batch.key), lookup.value);
+        })[0] || null;
+        lookup.resolve(null, lookup.method === 'exists' ? 
+                       record !== null : record);
+      });
+    });
+  }
+
+  function Loader() {
+    this.sources = [];
+    this.pending = [];
+  }
+
+  Loader.prototype.load = function(adapter, method, key, criteria, cb) {
+    var self = this;
+    // Mongoose adapters are created per constraint, so group them by model
+    var source = adapter.Model || adapter;
+    var entry = this.sources.filter(function(entry) {
+      return entry.source === source;
+    })[0];
+    var id = method + ':' + JSON.stringify(criteria);
+    var lookup;
+    var rest;
+    var batchId;
+    var batch;
+
+    if (!entry) {
+      entry = {source: source, lookups: {}, batches: {}};
+      this.sources.push(entry);
+    }
+
+    lookup = entry.lookups[id];
+    if (lookup && lookup.done) { return cb(null, lookup.result); }
+    if (lookup) { return lookup.callbacks.push(cb); }
+
+    lookup = entry.lookups[id] = {
+      method: method,
+      value: criteria[key],
+      callbacks: [cb],
+      resolve: function(err, result) {
+        var callbacks = lookup.callbacks;
+        lookup.callbacks = [];
+        // Failed lookups are not remembered, so they can be retried
+        if (err) {
+          delete entry.lookups[id];
+        } else {
+          lookup.done = true;
+          lookup.result = result;
+        }
+        callbacks.forEach(function(cb) { cb(err, result); });
+      }
+    };
+
+    if (typeof adapter.findAll !== 'function' ||
+        (method === 'exists' && typeof adapter.exists === 'function')) {
+      return callAdapter(adapter, method, [criteria], lookup.resolve);
+    }
+
+    rest = extend({}, criteria);
+    delete rest[key];
+    batchId = key + ':' + JSON.stringify(rest);
+    batch = entry.batches[batchId];
+    if (!batch) {
+      batch = entry.batches[batchId] = {
+        id: batchId,
+        entry: entry,
+        adapter: adapter,
+        key: key,
+        criteria: rest,
+        lookups: []
+      };
+      if (!this.pending.length) {
+        // Wait for other parameters (and other checks) to queue lookups
+        defer(function() {
+          var pending = self.pending;
+          self.pending = [];
+          pending.forEach(function(batch) {
+            delete batch.entry.batches[batch.id];
+            flushBatch(batch);
+          });
+        });
+      }
+      this.pending.push(batch);
+    }
+    batch.lookups.push(lookup);
+  };
+
+  function lengthChecker(name, min, max) {
+    return function(v, next) {
+      var isArray = Array.isArray(v);
+      var length = v == null ? 0 : 
+        isArray ? v.length : codePoints(String(v)).length;
+      // Missing values fail, but they don't exceed any limit
+      var bound = v == null ? 'required' : 
+        min != null && length < min ? 'min' :
+        max != null && length > max ? 'max' : null;
+
+      if (!bound) { return next(null, v, name); }
+      next(null, null, name, {
+        min: min, 
+        max: max, 
+        bound: bound, 
+        length: length, 
+        array: isArray
+      });
+    };
+  }
+
+  function lengthUnits(n, isArray) {
+    return n + (isArray ? ' item' : ' character') + (n === 1 ? '' : 's');
+  }
+
+  var isoDateRe = new RegExp('^(\\d{4})-(\\d{2})-(\\d{2})' +
+    '(?:T(\\d{2}):(\\d{2})(?::(\\d{2})(?:[.,](\\d+))?)?' +
+    '(Z|[+-]\\d{2}(?::?\\d{2})?)?)?$');
+  var dateTokens = {
+    YYYY: '(\\d{4})',
+    MM: '(\\d{2})',
+    M: '(\\d{1,2})',
+    DD: '(\\d{2})',
+    D: '(\\d{1,2})',
+    HH: '(\\d{2})',
+    H: '(\\d{1,2})',
+    mm: '(\\d{2})',
+    ss: '(\\d{2})',
+    SSS: '(\\d{3})',
+    Z: '(Z|[+-]\\d{2}(?::?\\d{2})?)'
+  };
+  var dateFields = {
+    YYYY: 'year', MM: 'month', M: 'month', DD: 'day', D: 'day', HH: 'hour',
+    H: 'hour', mm: 'minute', ss: 'second', SSS: 'ms', Z: 'offset'
+  };
+  var relativeDateRe = /^\s*(now|today)?((?:\s*[+-]\s*\d+\s*[yMwdhms])*)\s*$/;
+
+  function compileDateFormat(format) {
+    var fields = [];
+    var source;
+
+    if (format === 'iso') {
+      return {
+        name: format,
+        re: isoDateRe,
+        fields: ['year', 'month', 'day', 'hour', 'minute', 'second', 'ms', 
+                 'offset']
+      };
+    }
+
+    source = format.replace(/YYYY|SSS|MM|DD|HH|mm|ss|M|D|H|Z|([^A-Za-z])/g, 
+                            function(token, literal) {
+      if (literal) { return literal.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&'); }
+      fields.push(dateFields[token]);
+      return dateTokens[token];
+    });
+    return {name: format, re: new RegExp('^' + source + '$'), fields: fields};
+  }
+
+  function parseDate(str, format, utc) {
+    var match = format.re.exec(str);
+    var p = {year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0, 
+             ms: 0, offset: null};
+    var offset;
+    var d;
+
+    if (!match) { return null; }
+    format.fields.forEach(function(field, i) {
+      var val = match[i + 1];
+      if (val == null) { return; }
+      if (field === 'ms') {
+        p.ms = Math.floor(Number('0.' + val) * 1000);
+      } else if (field === 'offset') {
+        offset = /^([+-])(\d{2}):?(\d{2})?$/.exec(val);
+        p.offset = offset ? (offset[1] === '-' ? -1 : 1) * 
+          (offset[2] * 60 + Number(offset[3] || 0)) : 0;
+      } else {
+        p[field] = Number(val);
+      }
+    });
+
+    // Reject impossible dates, like Feb 30 or 25:00
+    if (p.month < 1 || p.month > 12 || p.day < 1 ||
+        p.day > daysInMonth(p.year, p.month) ||
+        p.hour > 23 || p.minute > 59 || p.second > 59) {
+      return null;
+    }
+
+    d = new Date(0);
+    if (p.offset != null || utc) {
+      d.setUTCFullYear(p.year, p.month - 1, p.day);
+      d.setUTCHours(p.hour, p.minute - (p.offset || 0), p.second, p.ms);
+    } else {
+      d.setFullYear(p.year, p.month - 1, p.day);
+      d.setHours(p.hour, p.minute, p.second, p.ms);
+    }
+    return d;
+  }
+
+  function daysInMonth(year, month) {
+    if (month === 2) {
+      return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 
+        29 : 28;
+    }
+    return [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+  }
+
+  function resetDateTime(d, utc) {
+    if (utc) {
+      d.setUTCHours(0, 0, 0, 0);
+    } else {
+      d.setHours(0, 0, 0, 0);
+    }
+    return d;
+  }
+
+  function resolveDateLimit(limit, data, utc) {
+    var match;
+    var d;
+
+    if (typeof limit === 'function') { limit = limit(data); }
+    if (limit instanceof Date) { return new Date(limit.getTime()); }
+    if (typeof limit === 'number') { return new Date(limit); }
+    if (typeof limit !== 'string') { return null; }
+
+    match = relativeDateRe.exec(limit);
+    if (!match || (!match[1] && !match[2])) {
+      return parseDate(limit, compileDateFormat('iso'), utc);
+    }
+
+    d = new Date();
+    if (match[1] === 'today') { resetDateTime(d, utc); }
+    (match[2].match(/[+-]\s*\d+\s*[yMwdhms]/g) || []).forEach(function(part) {
+      var n = Number(part.replace(/[^\d+-]/g, ''));
+      var unit = part.slice(-1);
+      var prefix = utc ? 'setUTC' : 'set';
+      var getter = utc ? 'getUTC' : 'get';
+
+      if (unit === 'y') {
+        d[prefix + 'FullYear'](d[getter + 'FullYear']() + n);
+      } else if (unit === 'M') {
+        d[prefix + 'Month'](d[getter + 'Month']() + n);
+      } else if (unit === 'w' || unit === 'd') {
+        d[prefix + 'Date'](d[getter + 'Date']() + (unit === 'w' ? 7 * n : n));
+      } else {
+        d.setTime(d.getTime() + n * {h: 3600000, m: 60000, s: 1000}[unit]);
+      }
+    });
+    return d;
+  }
+
+  function formatDate(d, utc) {
+    var get = function(name) { 
+      return d[(utc ? 'getUTC' : 'get') + name](); 
+    };
+    var pad = function(n) { return (n < 10 ? '0' : '') + n; };
+    var date = get('FullYear') + '-' + pad(get('Month') + 1) + '-' + 
+      pad(get('Date'));
+
+    if (get('Hours') || get('Minutes')) {
+      date += ' ' + pad(get('Hours')) + ':' + pad(get('Minutes'));
+    }
+    return date;
+  }
+
+  function dateLimitChecker(paramObject, name, limit, utc, compare) {
+    return function(v, next) {
+      var d;
+
+      if (!(v instanceof Date) || isNaN(v.getTime())) { 
+        return next(null, null, name); 
+      }
+      d = resolveDateLimit(limit, paramObject.originalData, utc);
+      if (!d || isNaN(d.getTime())) {
+        return next(new Error("Invalid date limit '" + limit + "' for '" + 
+                              paramObject.name + "'"), null, name);
+      }
+      if (compare(v.getTime(), d.getTime())) { return next(null, v, name); }
+      next(null, null, name, {date: formatDate(d, utc)});
+    };
+  }
+
+  function sanitizer(name, transform) {
+    return function(v, next) {
+      next(null, typeof v === 'string' ? transform(v) : v, name);
+    };
+  }
+
+  function normalizeOptions(options) {
+    if (typeof options === 'boolean') { return {excludeEmpty: options}; }
+    return options || {};
+  }
+
+  function systemError(errors) {
+    if (!errors || !errors.system) { return null; }
+    return errors.system[Object.keys(errors.system)[0]];
+  }
+
+  function prefixErrors(errors, prefix, failures, messages) {
+    Object.keys(failures).forEach(function(key) {
+      errors.count += 1;
+      errors.errors[prefix + '.' + key] = failures[key];
+      errors.messages[prefix + '.' + key] = messages[key];
+    });
+  }
+
+  function addError(errors, key, constraintName, message, collectAll) {
+    var exists = errors.errors.hasOwnProperty(key);
+    if (!exists) { errors.count += 1; }
+    if (collectAll) {
+      errors.errors[key] = (errors.errors[key] || []).concat(constraintName);
+      errors.messages[key] = (errors.messages[key] || []).concat(message);
+    } else if (!exists) {
+      errors.errors[key] = constraintName;
+      errors.messages[key] = message;
+    }
+  }
+
+  function syncValidator(func) {
+    function result(valid) {
+      return typeof valid === 'undefined' ? true : valid;
+    }
+    return function(data) {
+      var ret = func.call(this, data);
+      return isThenable(ret) ? ret.then(result) : result(ret);
+    };
+  }
+
+  function runSchemaValidators(validators, data, cleanedData, errors, options,
+                               cb) {
+    var names = Object.keys(validators || {});
+
+    (function runNext() {
+      if (!names.length) { return cb(); }
+
+      var name = names.shift();
+      var func = validators[name];
+      var fields = ['$form'];
+
+      if (Array.isArray(func)) {
+        fields = toArray(func[0]);
+        func = func[1];
+
+        // Don't bother validating fields that have already failed
+        if (fields.some(function(field) {
+          return errors.errors.hasOwnProperty(field);
+        })) { return runNext(); }
+      }
+
+      // Validators that don't take a callback pass unless they return false
+      if (func.length < 2) { func = syncValidator(func); }
+
+      var ctx = {originalData: data, options: options};
+      callConstraint(func, ctx, cleanedData, name, function(err, valid, 
+                                                            constraintName,
+                                                            info) {
+        fields.forEach(function(field) {
+          if (err) {
+            errors.system = errors.system || {};
+            errors.system[field] = err;
+          } else if (!valid) {
+            addError(errors, field, name, formatMessage({
+              name: field,
+              originalValue: getPath(data, field),
+              options: options
+            }, {name: name, args: []}, name, info), options.collectAll);
+          }
+        });
+        runNext();
+      });
+    })();
+  }
+
+  var defaultSources = ['params', 'body', 'query'];
+
+  function gatherData(sources, order, params) {
+    var data = {};
+    order = toArray(order);
+
+    function lookup(key) {
+      var val;
+      order.some(function(name) {
+        var source = sources[name];
+        if (source == null) { return false; }
+        val = source[name === 'headers' ? key.toLowerCase() : key];
+        return val !== undefined;
+      });
+      return val;
+    }
+
+    params.forEach(function(param) {
+      var top = param.path.split('.')[0];
+      var val = lookup(top);
+      if (val !== undefined) { data[top] = val; }
+      if (top !== param.path) {
+        val = lookup(param.path);
+        if (val !== undefined) { data[param.path] = val; }
+      }
+    });
+    return data;
+  }
+
+  function parseQuery(qs) {
+    var data = {};
+    qs.split('&').forEach(function(pair) {
+      if (!pair) { return; }
+      var idx = pair.indexOf('=');
+      var key = idx > -1 ? pair.slice(0, idx) : pair;
+      var val = idx > -1 ? pair.slice(idx + 1) : '';
+      try {
+        key = decodeURIComponent(key.replace(/\+/g, ' '));
+        val = decodeURIComponent(val.replace(/\+/g, ' '));
+      } catch (e) {
+        return;
+      }
+      if (!data.hasOwnProperty(key)) {
+        data[key] = val;
+      } else {
+        data[key] = toArray(data[key]).concat(val);
+      }
+    });
+    return data;
+  }
+
+  function parseBody(text, contentType) {
+    contentType = (contentType || '').split(';')[0].replace(/\s/g, '')
+      .toLowerCase();
+    if (contentType === 'application/json' || /\+json$/.test(contentType)) {
+      return text ? JSON.parse(text) : {};
+    }
+    if (contentType === 'application/x-www-form-urlencoded') {
+      return parseQuery(text);
+    }
+  }
+
+  function readBody(req, body, limit, cb) {
+    var contentType = req && req.headers && req.headers['content-type'];
+    var text = '';
+    var done = false;
+
+    function finish(err, body) {
+      if (done) { return; }
+      done = true;
+      req.removeListener('data', onData);
+      req.removeListener('end', onEnd);
+      cb(err, body);
+    }
+
+    function onData(chunk) {
+      if (done) { return; }
+      if (text.length + chunk.length > limit) {
+        var err = new Error('Request body is too large');
+        err.status = 413;
+        text = '';
+        finish(err);
+        // Stop reading the rest of the body, so it's not buffered; the
+        // request is paused rather than destroyed, so 413 can still be sent
+        if (typeof req.pause === 'function') { req.pause(); }
+        return;
+      }
+      text += chunk;
+    }
+
+    function onEnd() {
+      var parsed;
+      if (done) { return; }
+      try {
+        parsed = parseBody(text, contentType);
+      } catch (e) {
+        e.status = 400;
+        return finish(e);
+      }
+      finish(null, parsed);
+    }
+
+    if (body !== undefined || !req) { return cb(null, body); }
+    if (parseBody('', contentType) === undefined) { return cb(null); }
+
+    req.setEncoding('utf8');
+    req.on('data', onData);
+    req.on('end', onEnd);
+    // The error listener stays, so late errors are not thrown, but they are
+    // ignored by `finish`
+    req.on('error', finish);
+  }
+
+  function handleResult(err, data, target, options, respond, next) {
+    if (systemError(err)) { return next(systemError(err)); }
+    target[options.target || 'data'] = data;
+    if (err && err.count) {
+      target.dataErrors = err;
+      if (options.respond) {
+        return respond(responseStatus(options), responseBody(err));
+      }
+    }
+    next();
+  }
+
+  function responseStatus(options) {
+    return options.respond === true ? 422 : options.respond;
+  }
+
+  function responseBody(err) {
+    return {errors: err.errors, messages: err.messages};
+  }
+
+  function schemaOptions(schema, options) {
+    if (!schema.$messages && !schema.$labels) { return options; }
+    options = extend({}, options);
+    options.messages = extend(extend({}, schema.$messages), options.messages);
+    options.labels = extend(extend({}, schema.$labels), options.labels);
+    return options;
+  }
+
+  // Options for checking members of arrays against nested schemas, where
+  // labels and messages for e.g. `items.n` apply to `n`
+  function memberOptions(options, name, index) {
+    var prefix = name.replace(/\.\d+(?=\.|$)/g, '') + '.';
+    var labels = {};
+    var messages = {};
+
+    Object.keys(options.labels || {}).forEach(function(key) {
+      if (key.indexOf(prefix) === 0) {
+        labels[key.slice(prefix.length)] = options.labels[key];
+      }
+    });
+    Object.keys(options.messages || {}).forEach(function(key) {
+      var message = options.messages[key];
+      if (!isSubSchema(message)) {
+        // Messages for constraints apply to the whole schema
+        messages[key] = message;
+      } else if (key.indexOf(prefix) === 0) {
+        messages[key.slice(prefix.length)] = message;
+      }
+    });
+
+    return extend(extend({}, options), {
+      labels: labels,
+      messages: messages,
+      pathPrefix: (options.pathPrefix || '') + name + '.' + index + '.'
+    });
+  }
+
+  function interpolate(message, params) {
+    return message.replace(/\{(\w+)\}/g, function(placeholder, key) {
+      var val = params[key];
+      if (val == null) { return placeholder; }
+      return Array.isArray(val) ? val.join(', ') : String(val);
+    });
+  }
+
+  function formatMessage(paramObject, constraint, constraintName, info) {
+    var options = paramObject.options;
+    var path = paramObject.name;
+    // Members of arrays share messages and labels (e.g., `tags.2` -> `tags`)
+    var genericPath = path.replace(/\.\d+(?=\.|$)/g, '');
+    var messages = options.messages || {};
+    var labels = options.labels || {};
+    var params = {
+      // Members of nested schemas are labeled with full path by default
+      label: labels[path] || labels[genericPath] || 
+        (options.pathPrefix || '') + path,
+      value: paramObject.originalValue
+    };
+    var message;
+
+    // Form-wide validators have a label in the catalog (e.g., 'The form')
+    if (path === '$form' && !labels[path]) {
+      [options.locale, sanidate.locale, 'en'].some(function(locale) {
+        var catalog = sanidate.messages[locale] || {};
+        if (catalog.$form != null) { params.label = catalog.$form; }
+        return catalog.$form != null;
+      });
+    }
+
+    (sanidate.signatures[constraint.name] || []).forEach(function(spec, i) {
+      params[parseSpec(spec).name] = constraint.args[i];
+    });
+    extend(params, info);
+
+    [messages[path], messages[genericPath]].some(function(fieldMessages) {
+      if (!isSubSchema(fieldMessages)) { return false; }
+      message = fieldMessages[constraintName];
+      return message != null;
+    });
+
+    if (message == null && !isSubSchema(messages[constraintName])) {
+      message = messages[constraintName];
+    }
+
+    [options.locale, sanidate.locale, 'en'].some(function(locale) {
+      var catalog = sanidate.messages[locale] || {};
+      if (message == null) { message = catalog[constraintName]; }
+      if (message == null) { message = catalog.invalid; }
+      return message != null;
+    });
+
+    if (typeof message === 'function') { message = message(params); }
+    return interpolate(String(message), params);
+  }
+
+  function isThenable(v) {
+    return v != null && typeof v.then === 'function';
+  }
+
+  function callConstraint(func, ctx, v, constraintName, next) {
+    var called = false;
+    function once(err, val, name, info) {
+      if (called) { return; }
+      called = true;
+      next(err, val, name, info);
+    }
+    var ret = func.call(ctx, v, once);
+    if (isThenable(ret)) {
+      ret.then(function(val) {
+        once(null, val, constraintName);
+      }, function(err) {
+        once(err, null, constraintName);
+      });
+    } else if (typeof ret !== 'undefined') {
+      once(null, ret, constraintName);
+    }
+  }
+
+  function isPresent(v) {
+    return v != null && v !== '' && !(Array.isArray(v) && !v.length);
+  }
+
+  function matchCondition(condition, data, ctx) {
+    if (typeof condition === 'function') { return condition.call(ctx, data); }
+    if (Array.isArray(condition)) {
+      return condition.every(function(c) {
+        return matchCondition(c, data, ctx);
+      });
+    }
+
+    var v = getPath(data, condition.field);
+    if (condition.hasOwnProperty('is')) { return v === condition.is; }
+    if (condition.hasOwnProperty('in')) {
+      return condition['in'].indexOf(v) > -1;
+    }
+    if (condition.hasOwnProperty('present')) {
+      return isPresent(v) === !!condition.present;
+    }
+    if (condition.hasOwnProperty('test')) {
+      return !!condition.test.call(ctx, v, data);
+    }
+    throw new Error('Invalid condition for param ' + ctx.name);
+  }
+
+  function flattenSchema(schema, prefix) {
+    var params = [];
+    prefix = prefix || '';
+    Object.keys(schema).forEach(function(key) {
+      var path = prefix + key;
+      if (key.charAt(0) === '$') { return; }
+      if (isSubSchema(schema[key])) {
+        params = params.concat(flattenSchema(schema[key], path + '.'));
+      } else {
+        params.push({path: path, constraints: schema[key]});
+      }
+    });
+    return params;
+  }
+
+  /**
+   * ## sanidate.funcs
+   * 
+   * This object contains all of the built-in constraints that can be used by
+   * name in the sanidation schema. Each property is a function which may take
+   * one or more arguments, and which returns a sanidation function.
+   *
+   * Sanidation functions take two arguments, of which first is the value as
+   * sanidized by any previous constraints, and second is a callback which
+   * chains to next sanidizer or finishes the chain. The sanidation function
+   * works more or less the same way as custom functions (see 'Writing custom 
+   * constraints' section for more details).
+   *
+   * You can customize any of the built-in constraints by overloading the
+   * function assigned to its key in this object. You can also add new built-in
+   * constraints by adding new keys.
+   */
+  sanidate.funcs = {
+    /**
+     * ### sanidate.funcs.required()
+     *
+     * Makes value required, and won't pass if there is no value.
+     */
+    'required': function() {
+      return function(v, next) {
+        next(null, v ? v : null, 'required');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.enum(allowed)
+     *
+     * Fails if value does not appear in `allowed` array.
+     *
+     * @param {Array} allowed Array of allowed strings
+     */
+    'enum': function(allowed) {
+      return function(v, next) {
+        next(null, allowed.indexOf(v) > -1 ? v : null, 'enum');
+      }
+    },
+
+    /**
+     * ### sanidate.funcs.match(pattern)
+     *
+     * Makes value match a pattern.
+     *
+     * @param {RegExp} pattern Regexp pattern to match
+     */
+    'match': function(pattern) {
+      return function(v, next) {
+        next(null, pattern.exec(v) ? v : null, 'match');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.numeric([strict])
+     *
+     * Makes value numeric.
+     *
+     * By default, value is converted using `parseFloat`, so anything that
+     * starts with a number passes (e.g., '12abc' becomes 12). In strict mode
+     * (if `strict` flag is set, or `strictNumbers` option is passed to
+     * `sanidate.check`), the whole value (disregarding whitespace at both
+     * ends) must be a decimal number, optionally in exponential notation
+     * (e.g., '-1.5', or '2e3'), and infinite values fail. Passing `false` as
+     * `strict` flag turns strict mode off regardless of options.
+     *
+     * If `locale` is specified (or `numberLocale` option is passed to
+     * `sanidate.check`), decimal and group separators of that locale are
+     * used (see `sanidate.locales`), so, for example, '1.234,5' becomes
+     * 1234.5 in German ('de') locale. Group separators must separate groups
+     * of three digits, otherwise the value fails. Without a locale, numbers
+     * are parsed the same way regardless of the language of messages:
+     *
+     *     ['numeric', true, 'de']  // '1.234,5' => 1234.5
+     *     ['numeric', true, 'de']  // '1,5' => 1.5, '1.5' fails
+     *     ['numeric', true, 'de']  // '12.34' fails (groups of 3 digits)
+     *     ['numeric', true, 'fr']  // '1 234,5' => 1234.5
+     *     ['numeric', true]        // '1,5' fails, '1.5' => 1.5
+     *     ['numeric']              // '1,5' => 1 (`parseFloat` stops at ',')
+     *
+     * @param {Boolean} strict Optional flag to use strict mode
+     * @param {String} locale Optional locale name
+     */
+    'numeric': function(strict, locale) {
+      var paramObject = this;
+      return function(v, next) {
+        var f = parseNumber(v, false, strict == null ? 
+                            paramObject.options.strictNumbers : strict,
+                            locale || paramObject.options.numberLocale);
+        next(null, !isNaN(f) ? f : null, 'numeric');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.integer([strict])
+     *
+     * Makes value integer.
+     *
+     * By default, value is converted using `parseInt`, so '1.9' becomes 1. In
+     * strict mode (see 'numeric'), values with fractional part, and integers
+     * outside the safe integer range (larger than 2^53 - 1 in absolute value,
+     * which cannot be represented precisely) fail. Separators of `locale`
+     * are used the same way as for 'numeric'.
+     *
+     * @param {Boolean} strict Optional flag to use strict mode
+     * @param {String} locale Optional locale name
+     */
+    'integer': function(strict, locale) {
+      var paramObject = this;
+      return function(v, next) {
+        var i = parseNumber(v, true, strict == null ? 
+                            paramObject.options.strictNumbers : strict,
+                            locale || paramObject.options.numberLocale);
+        next(null, !isNaN(i) ? i : null, 'integer');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.min(x, integer, equality)
+     *
+     * Makes value be greater than or equal to `x`. If `integer` is `true`, it 
+     * will only do integer comparison. Value is converted the same way as for
+     * 'numeric' or 'integer', including the strict mode if `strictNumbers`
+     * option is used, and separators of `locale` (or `numberLocale` option).
+     *
+     * @param {Number} x The minimum value allowed
+     * @param {Boolean} integer Whether to do integer comparison (default: 
+     * false)
+     * @param {Boolean} equality Whether to accept equality (default: false)
+     * @param {String} locale Optional locale name
+     */
+    'min': function(x, integer, equality, locale) {
+      var paramObject = this;
+      return function(v, next) {
+        var i = parseNumber(v, integer, paramObject.options.strictNumbers,
+                            locale || paramObject.options.numberLocale);
+        next(null, (!isNaN(i) && (equality ? i >= x : i > x)) ? i : null, 
+             'min');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.max(x, integer, equality)
+     *
+     * Makes value be less than or equal to `x`. If `integer` is `true`, it 
+     * will only do integer comparison. Value is converted the same way as for
+     * 'min'.
+     *
+     * @param {Number} x The maximum value allowed
+     * @param {Boolean} integer Whether to do integer comparison (default: 
+     * false)
+     * @param {Boolean} equality Whether to accept equality (default: false)
+     * @param {String} locale Optional locale name
+     */
+    'max': function(x, integer, equality, locale) {
+      var paramObject = this;
+      return function(v, next) {
+        var i = parseNumber(v, integer, paramObject.options.strictNumbers,
+                            locale || paramObject.options.numberLocale);
+        next(null, (!isNaN(i) && (equality ? i <= x : i < x)) ? i : null, 
+             'max');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.between(lo, hi, [options])
+     *
+     * Converts value to a number, and fails if it's not between `lo` and
+     * `hi` (inclusive). Value is always converted in strict mode (see
+     * 'numeric'), using separators of `numberLocale` option passed to
+     * `sanidate.check`, if any. Options object may have following keys:
+     *
+     *  + `integer`: Convert value to integer instead (see 'integer')
+     *  + `exclusive`: Exclude both `lo` and `hi` from the range
+     *  + `exclusiveMin`, `exclusiveMax`: Exclude only `lo` or `hi`
+     *
+     * On failure, error message receives the `bound` placeholder, which is
+     * 'min' or 'max' depending on which end of the range was exceeded (or
+     * `null` if value is not a number).
+     *
+     *     rating: [['between', 1, 5, {integer: true}]]
+     *
+     * @param {Number} lo Lower end of the range
+     * @param {Number} hi Upper end of the range
+     * @param {Object} options Optional options (see above)
+     */
+    'between': function(lo, hi, options) {
+      var paramObject = this;
+      options = options || {};
+      var exclusiveMin = options.exclusive || options.exclusiveMin;
+      var exclusiveMax = options.exclusive || options.exclusiveMax;
+
+      return function(v, next) {
+        var n = parseNumber(v, options.integer, true, 
+                            paramObject.options.numberLocale);
+        var bound = isNaN(n) ? null : 
+          (exclusiveMin ? n <= lo : n < lo) ? 'min' :
+          (exclusiveMax ? n >= hi : n > hi) ? 'max' : undefined;
+
+        if (bound === undefined) { return next(null, n, 'between'); }
+        next(null, null, 'between', {bound: bound});
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.decimal(places, [round])
+     *
+     * Converts value to a number (in strict mode, and using separators of
+     * `numberLocale` option, see 'numeric'), and fails
+     * if it has more than `places` decimal places, or, if `round` flag is
+     * set, rounds it to `places` decimal places instead (halves are rounded
+     * away from zero).
+     *
+     * @param {Number} places Maximum number of decimal places
+     * @param {Boolean} round Optional flag to round instead of failing
+     */
+    'decimal': function(places, round) {
+      var paramObject = this;
+      return function(v, next) {
+        var n = parseNumber(v, false, true, 
+                            paramObject.options.numberLocale);
+        var rounded = roundNumber(n, places);
+
+        if (isNaN(n) || (!round && rounded !== n)) { 
+          return next(null, null, 'decimal'); 
+        }
+        next(null, rounded, 'decimal');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.money([places])
+     *
+     * Converts a monetary amount to an integer number of minor units (e.g.,
+     * cents), which avoids rounding errors of floating point numbers. For
+     * example, '1,234.5' becomes 123450. The `places` argument is the number
+     * of minor unit decimal places (default: 2, use 0 for currencies like
+     * Japanese yen, and 3 for currencies like Kuwaiti dinar).
+     *
+     * Value can be a number, or a string with optional sign, and comma as
+     * optional thousands separator. Amounts with more than `places` decimal
+     * places fail, as do amounts which would not be safe integers.
+     *
+     * @param {Number} places Optional number of decimal places
+     */
+    'money': function(places) {
+      places = places == null ? 2 : places;
+      return function(v, next) {
+        var match = /^([+-])?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?$/
+          .exec(trimmed(v));
+        var fraction = match && (match[3] || '');
+        var minor = null;
+
+        if (typeof v === 'number' && isFinite(v) && 
+            roundNumber(v, places) === v) {
+          minor = Math.round(v * Math.pow(10, places));
+        } else if (match && fraction.length <= places) {
+          minor = Number(match[2].replace(/,/g, '') + 
+                         (fraction + new Array(places + 1).join('0'))
+                           .slice(0, places));
+          if (match[1] === '-') { minor = -minor; }
+        }
+
+        next(null, minor !== null && Math.abs(minor) <= maxSafeInteger ? 
+             minor : null, 'money');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.date([options])
+     *
+     * Makes value a date. Date objects are accepted as they are (if valid).
+     *
+     * Options can be either a boolean, which is the same as `resetTime`
+     * option, or an object with following keys:
+     *
+     *  + `format`: Format, or array of formats, the value must be in; values
+     *    which don't match any of the formats fail
+     *  + `utc`: Interpret dates and times as UTC instead of local time, unless
+     *    value specifies a time zone offset
+     *  + `resetTime`: Reset time to midnight (in local time, or UTC if `utc`
+     *    option is set)
+     *
+     * Format can be 'iso', which accepts strict ISO 8601 dates and date-times
+     * (e.g., '2020-01-02', '2020-01-02T13:45', or '2020-01-02T13:45:00.000Z'),
+     * or a pattern using following tokens (any other character must appear
+     * as is):
+     *
+     *  + `YYYY`: 4-digit year
+     *  + `MM`, `M`: month (2-digit, or 1 to 2 digits)
+     *  + `DD`, `D`: day of month (2-digit, or 1 to 2 digits)
+     *  + `HH`, `H`: hour (2-digit, or 1 to 2 digits)
+     *  + `mm`: minutes
+     *  + `ss`: seconds
+     *  + `SSS`: milliseconds
+     *  + `Z`: time zone offset ('Z', '+01:00', '+0100', or '+01')
+     *
+     * Impossible dates (like February 30) and times (like 25:00) fail.
+     *
+     *     birthday: [['date', {format: ['YYYY-MM-DD', 'DD.MM.YYYY']}]]
+     *
+     * If no format is specified, the value is converted using `Date`
+     * constructor, so the accepted formats depend on the JavaScript engine.
+     *
+     * @param {Boolean/Object} options Optional options (see above)
+     */
+    'date': function(options) {
+      options = isSubSchema(options) ? options : {resetTime: options};
+      var formats = options.format == null ? null :
+        [].concat(options.format).map(compileDateFormat);
+
+      return function(v, next) {
+        var d = null;
+
+        if (v instanceof Date) {
+          d = new Date(v.getTime());
+        } else if (!formats) {
+          d = new Date(v);
+        } else {
+          formats.some(function(format) {
+            d = parseDate(String(v), format, options.utc);
+            return d !== null;
+          });
+        }
+
+        if (!d || isNaN(d.getTime())) {
+          return next(null, null, 'date', {
+            format: formats ? [].concat(options.format).join(', ') : ''
+          });
+        }
+        if (options.resetTime) { resetDateTime(d, options.utc); }
+
+        next(null, d, 'date');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.minDate(limit, [utc])
+     *
+     * Fails if value is a date earlier than `limit`, or not a date at all, so
+     * it should follow the 'date' constraint. Limit can be:
+     *
+     *  + a `Date` object, or timestamp in milliseconds
+     *  + an ISO 8601 date string (e.g., '2000-01-01')
+     *  + 'now', or 'today' (midnight of the current day), optionally followed
+     *    by one or more offsets in `+N` or `-N` form with `y` (years), `M`
+     *    (months), `w` (weeks), `d` (days), `h` (hours), `m` (minutes), or `s`
+     *    (seconds) unit, like 'today +1d' (tomorrow), or '-1y' (a year ago);
+     *    offsets alone are relative to 'now'
+     *  + a function which takes original data, and returns any of the above
+     *
+     * Relative limits are evaluated each time the constraint is used. If
+     * `utc` flag is set, 'today' and offsets are calculated in UTC instead of
+     * local time.
+     *
+     * On failure, error message receives the `date` placeholder, which is
+     * the limit formatted as 'YYYY-MM-DD' (with 'HH:mm' time appended if
+     * limit is not at midnight). Invalid limits are reported as system errors.
+     *
+     *     startDate: ['date', ['minDate', 'today']],
+     *     endDate: ['date', ['minDate', function(data) {
+     *       return data.startDate;
+     *     }]]
+     *
+     * @param {Date/Number/String/Function} limit Earliest allowed date
+     * @param {Boolean} utc Optional flag to use UTC for relative limits
+     */
+    'minDate': function(limit, utc) {
+      return dateLimitChecker(this, 'minDate', limit, utc, function(v, d) {
+        return v >= d;
+      });
+    },
+
+    /**
+     * ### sanidate.funcs.maxDate(limit, [utc])
+     *
+     * Fails if value is a date later than `limit`, or not a date at all.
+     * Limit is specified the same way as for 'minDate'.
+     *
+     *     // Not in the future
+     *     publishedAt: ['date', ['maxDate', 'now']],
+     *     // At least 18 years ago
+     *     birthday: [['date', {format: 'YYYY-MM-DD'}], 
+     *                ['maxDate', 'today -18y']]
+     *
+     * @param {Date/Number/String/Function} limit Latest allowed date
+     * @param {Boolean} utc Optional flag to use UTC for relative limits
+     */
+    'maxDate': function(limit, utc) {
+      return dateLimitChecker(this, 'maxDate', limit, utc, function(v, d) {
+        return v <= d;
+      });
+    },
+
+    /**
+     * ### sanidate.funcs.email()
+     *
+     * Makes value match a canonical email format.
+     */
+    'email': function() {
+      return function(v, next) {
+        next(null, emailRe.exec(v) ? v : null, 'email');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.zip()
+     *
+     * Makes vlaue match 5-digit number. It returns the original value on
+     * match, not converted to numbers.
+     */
+    'zip': function() {
+      return function(v, next) {
+        next(null, /^\d{5}$/.exec(v) ? v : null, 'zip');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.isTrue([locale])
+     *
      * Makes value match any of the following:
      *  + true
      *  + yes
      *  + on
      *  + 1
      *
-     * If the value matches, `true` is returned, otherwise `false` is returned.
+     * If the value matches, `true` is returned, otherwise `false` is returned.
+     *
+     * If `locale` is specified (or `numberLocale` option is passed to
+     * `sanidate.check`), truthy words of that locale are used instead (see
+     * `sanidate.locales`):
+     *
+     *     ['isTrue', 'de']  // 'ja' => true, 'yes' => true, 'oui' => false
+     *     'isTrue'          // 'ja' => false
+     *
+     * This validator never fails.
+     *
+     * @param {String} locale Optional locale name
+     */
+    'isTrue': function(locale) {
+      var paramObject = this;
+      return function(v, next) {
+        var truthy = localeData(locale || 
+                            paramObject.options.numberLocale).truthy;
+        next(null, truthy.indexOf(v) > -1, 'isTrue');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.isNotFalse([locale])
+     *
+     * Makes value _not_ match any of the following:
+     *  + false
+     *  + no
+     *  + off
+     *  + 0
+     *
+     * If the value matches any of the above, `false` is returned. Otherwise,
+     * `true` is returned.
+     *
+     * Falsy words of `locale` are used the same way as for 'isTrue'.
+     *
+     * This validator never fails.
+     *
+     * @param {String} locale Optional locale name
+     */
+    'isNotFalse': function(locale) {
+      var paramObject = this;
+      return function(v, next) {
+        var falsy = localeData(locale || 
+                            paramObject.options.numberLocale).falsy;
+        next(null, falsy.indexOf(v) < 0, 'isFalse');
+      };
+    },
+
+    /**
+     * ### sanidate.func.strictBoolean(optional, def, [locale])
+     *
+     * Makes value match any of the strict boolean values. Fails if `optional`
+     * flag is not `true`, otherwise stops further sanidation and returns the
+     * original value or `def` is supplied, and original value is absent.
+     *
+     * If `def` is a function, it will be executed with no arguments, and its
+     * return value will be used as the default value. Function is always 
+     * executed after it is determined that default value is needed.
+     *
+     * Truthy and falsy words of `locale` are used the same way as for
+     * 'isTrue'. Actual boolean values (e.g., from JSON request bodies) are
+     * accepted as well.
+     *
+     *     sanidate.check({ok: true, no: false, word: 'no'}, {
+     *       ok: 'strictBoolean',
+     *       no: 'strictBoolean',
+     *       word: 'strictBoolean'
+     *     }, function(err, data) {
+     *       // data is {ok: true, no: false, word: false}
+     *     });
+     *
+     * @param {Boolean} optional Whether this parameter is optional (default:
+     * false)
+     * @param {Any} def Default value when value is missing
+     * @param {String} locale Optional locale name
+     */
+    'strictBoolean': function(optional, def, locale) {
+      var paramObject = this;
+      return function(v, next) {
+        var data = localeData(locale || paramObject.options.numberLocale);
+        var isTrue = v === true || data.truthy.indexOf(v) > -1;
+        var isBool = isTrue || v === false || data.falsy.indexOf(v) > -1;
+        var defVal = v || (typeof def === 'function' ? def() : def);
+        if (optional) {
+          return next(null, isBool ? isTrue : defVal, 
+                      defVal ? 'strictBoolean' : null);
+        }
+        next(null, isBool ? isTrue : null, 'strictBoolean');
+      }
+    },
+
+    /**
+     * ### sanidate.funcs.phone([country], [format])
+     *
+     * If called without arguments, or with a boolean, tests if 10 digits are
+     * contained in the value, and returns only the digits as string
+     * (`digitsOnly === true`), or a formatted US phone number (`digitsOnly
+     * === false`).
      *
-     * This validator never fails.
+     * If `country` is specified (as ISO 3166-1 alpha-2 code, like 'US', or
+     * 'DE', or an array of such codes), the value is validated using the
+     * metadata in `sanidate.phoneMeta`. Value can be in national format (with
+     * or without the trunk prefix, e.g., '030 1234567' in Germany), or in
+     * international format ('+49 30 1234567', or '0049 30 1234567'), in which
+     * case the country calling code must belong to one of the countries.
+     * Country codes are case-insensitive, and 'UK' can be used for 'GB', but
+     * countries missing from `sanidate.phoneMeta` cause a
+     * `sanidate.SchemaError` when the schema is compiled. Spaces, dots,
+     * dashes, slashes and parentheses are ignored. The value is then
+     * converted to the `format`, which can be:
+     *
+     *  + 'e164': E.164 format (e.g., '+49301234567'), which is the default
+     *  + 'national': national format (e.g., '030 1234567')
+     *  + 'digits': national number without any prefixes (e.g., '301234567')
+     *
+     *     mobile: ['required', ['phone', ['DE', 'AT', 'CH']]]
+     *
+     * @param {Boolean/String/Array} country Optional country code(s), or
+     * `digitsOnly` flag for US phone numbers
+     * @param {String} format Optional output format
      */
-    'isTrue': function() {
+    'phone': function(country, format) {
+      if (country == null || typeof country === 'boolean') {
+        return function(v, next) {
+          next(null, phoneRe.exec(v) ? 
+               (country ? extractDigits(v) : formatPhone(v)) :
+               null, 'phone');
+        };
+      }
+
       return function(v, next) {
-        next(null, 'true yes 1 on'.split(' ').indexOf(v) > -1, 'isTrue');
+        var phone = parsePhone(v, [].concat(country));
+        if (!phone) { return next(null, null, 'phone'); }
+        if (format === 'national') {
+          return next(null, formatNationalPhone(phone), 'phone');
+        }
+        if (format === 'digits') { return next(null, phone.nsn, 'phone'); }
+        next(null, '+' + phone.meta.code + phone.nsn, 'phone');
       };
     },
 
     /**
-     * ### sanidate.funcs.isNotFalse()
+     * ### sanidate.funcs.postalCode([country])
      *
-     * Makes value _not_ match any of the following:
-     *  + false
-     *  + no
-     *  + off
-     *  + 0
+     * Tests if value is a valid postal code in `country` (ISO 3166-1 alpha-2
+     * code, or an array of such codes), using the patterns in
+     * `sanidate.postalCodes`. Country defaults to 'US'. Value is trimmed and
+     * upper-cased before testing, and the postal code is returned in its
+     * canonical format (e.g., 'sw1a1aa' becomes 'SW1A 1AA' in UK).
+     *
+     * Country codes are case-insensitive, and 'UK' can be used for 'GB'.
+     * Countries missing from `sanidate.postalCodes` cause a
+     * `sanidate.SchemaError` when the schema is compiled.
+     *
+     * @param {String/Array} country Optional country code(s)
+     */
+    'postalCode': function(country) {
+      var countries = [].concat(country || 'US');
+      return function(v, next) {
+        var code = typeof v === 'string' || typeof v === 'number' ?
+          String(v).replace(/^\s+|\s+$/g, '').replace(/\s+/g, ' ')
+            .toUpperCase() : '';
+        var result = null;
+
+        countries.some(function(country) {
+          var entry = sanidate.postalCodes[countryCode(country)];
+          if (!entry || !entry.pattern.test(code)) { return false; }
+          result = code.replace(entry.pattern, entry.format || '$&');
+          return true;
+        });
+        next(null, result, 'postalCode');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.url([schemes], [normalize])
+     *
+     * Tests if value is an absolute URL with one of the `schemes` (default:
+     * `['http', 'https']`) and a valid host name or IP address (IPv6
+     * addresses must be in square brackets). Value is trimmed. If `normalize`
+     * flag is set, the scheme and host are converted to lower case, default
+     * port (like 80 for 'http') is removed, and empty path is replaced by
+     * '/' (e.g., 'HTTP://Example.com:80' becomes 'http://example.com/').
+     *
+     * @param {Array} schemes Optional array of allowed schemes
+     * @param {Boolean} normalize Optional flag to normalize the URL
+     */
+    'url': function(schemes, normalize) {
+      var defaultPorts = {http: '80', https: '443', ftp: '21', ws: '80', 
+                          wss: '443'};
+      var urlRe = new RegExp('^([a-z][a-z\\d+\\-.]*)://(?:([^\\s@/?#]*)@)?' +
+        '(\\[[^\\]]+\\]|[^\\s/?#:]+)(?::(\\d{1,5}))?([/?#]\\S*)?$', 'i');
+
+      schemes = (schemes || ['http', 'https']).map(function(scheme) {
+        return scheme.toLowerCase();
+      });
+
+      return function(v, next) {
+        var url = trimmed(v);
+        var match = urlRe.exec(url);
+        var scheme = match && match[1].toLowerCase();
+        var host = match && match[3].toLowerCase();
+        var ipv6 = match && /^\[(.*)\]$/.exec(host);
+        var port = match && match[4];
+
+        if (!match || schemes.indexOf(scheme) < 0 || Number(port) > 65535 ||
+            (ipv6 ? !parseIPv6(ipv6[1]) : !isHostname(host))) {
+          return next(null, null, 'url');
+        }
+        if (!normalize) { return next(null, url, 'url'); }
+
+        if (ipv6) { host = '[' + formatIPv6(parseIPv6(ipv6[1])) + ']'; }
+        next(null, scheme + '://' + (match[2] != null ? match[2] + '@' : '') +
+             host + (port && port !== defaultPorts[scheme] ? ':' + port : '') +
+             (/^\//.test(match[5]) ? match[5] : '/' + (match[5] || '')), 
+             'url');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.ipv4()
+     *
+     * Tests if value is an IPv4 address in dotted-decimal notation (e.g.,
+     * '192.168.0.1'). Octets with leading zeros are not allowed. Value is
+     * trimmed.
+     */
+    'ipv4': function() {
+      return function(v, next) {
+        var ip = trimmed(v);
+        next(null, isIPv4(ip) ? ip : null, 'ipv4');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.ipv6()
+     *
+     * Tests if value is an IPv6 address (including addresses with embedded
+     * IPv4 address, like '::ffff:192.168.0.1'), and returns it in canonical
+     * format (e.g., '2001:DB8:0:0:0:0:0:1' becomes '2001:db8::1').
+     */
+    'ipv6': function() {
+      return function(v, next) {
+        var groups = parseIPv6(trimmed(v));
+        next(null, groups ? formatIPv6(groups) : null, 'ipv6');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.cidr([version])
+     *
+     * Tests if value is an IP address range in CIDR notation (e.g.,
+     * '10.0.0.0/8', or '2001:db8::/32'). If `version` is specified (4 or 6),
+     * only addresses of that version are accepted. IPv6 addresses are
+     * converted to canonical format.
+     *
+     * @param {Number} version Optional IP version
+     */
+    'cidr': function(version) {
+      return function(v, next) {
+        var match = /^([^\/]+)\/(\d{1,3})$/.exec(trimmed(v));
+        var prefix = match && Number(match[2]);
+        var groups;
+
+        if (match && version !== 6 && isIPv4(match[1]) && prefix <= 32) {
+          return next(null, match[1] + '/' + prefix, 'cidr');
+        }
+        groups = match && version !== 4 && parseIPv6(match[1]);
+        if (groups && prefix <= 128) {
+          return next(null, formatIPv6(groups) + '/' + prefix, 'cidr');
+        }
+        next(null, null, 'cidr');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.uuid([version])
+     *
+     * Tests if value is a UUID (optionally in curly braces, or with 'urn:uuid:'
+     * prefix), and returns it in lower case, without braces or prefix. If
+     * `version` is specified, only UUIDs of that version are accepted.
+     * Otherwise, the nil UUID (all zeros) is accepted as well.
+     *
+     * @param {Number} version Optional UUID version (1 to 8)
+     */
+    'uuid': function(version) {
+      return function(v, next) {
+        var uuid = trimmed(v).toLowerCase()
+          .replace(/^urn:uuid:/, '').replace(/^\{(.*)\}$/, '$1');
+        var match = new RegExp('^[\\da-f]{8}-[\\da-f]{4}-([1-8])[\\da-f]{3}-' + 
+                               '[89ab][\\da-f]{3}-[\\da-f]{12}$').exec(uuid);
+        var valid = match ? version == null || Number(match[1]) === version :
+          version == null && uuid === '00000000-0000-0000-0000-000000000000';
+        next(null, valid ? uuid : null, 'uuid');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.hostname()
+     *
+     * Tests if value is a valid host name (e.g., 'example.com', or
+     * 'localhost'), and returns it in lower case, without the trailing dot.
+     */
+    'hostname': function() {
+      return function(v, next) {
+        var host = trimmed(v).toLowerCase();
+        next(null, isHostname(host) ? host.replace(/\.$/, '') : null, 
+             'hostname');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.creditCard([brands])
+     *
+     * Tests if value is a credit card number which passes the Luhn checksum,
+     * and returns only its digits. Spaces and dashes are ignored. If `brands`
+     * array is specified (e.g., `['visa', 'mastercard']`), the brand of the
+     * card (see `sanidate.cardBrand`) must be one of them.
+     *
+     * @param {Array} brands Optional array of accepted brands
+     */
+    'creditCard': function(brands) {
+      return function(v, next) {
+        var number = typeof v === 'number' ? String(v) : trimmed(v);
+        var digits = /^[\d -]+$/.test(number) ? number.replace(/\D/g, '') : '';
+        var valid = /^\d{12,19}$/.test(digits) && luhn(digits) &&
+          (!brands || brands.indexOf(sanidate.cardBrand(digits)) > -1);
+        next(null, valid ? digits : null, 'creditCard');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.iban()
+     *
+     * Tests if value is an IBAN with correct length for its country (see
+     * `sanidate.ibanLengths`) and valid checksum, and returns it in
+     * electronic format (upper case, without spaces).
+     */
+    'iban': function() {
+      return function(v, next) {
+        var iban = trimmed(v).replace(/\s+/g, '').toUpperCase();
+        var length = sanidate.ibanLengths[iban.slice(0, 2)];
+        var valid = /^[A-Z]{2}\d{2}[A-Z\d]{11,30}$/.test(iban) &&
+          (!length || iban.length === length) &&
+          mod97(iban.slice(4) + iban.slice(0, 4)) === 1;
+        next(null, valid ? iban : null, 'iban');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.isDocument(source, [key], [extra])
+     *
+     * Tests if a record (document) that has the key-value pair matching the
+     * value of the parameter exists in a data store. The `source` is either a
+     * lookup adapter (see `sanidate.adapters`), or a Mongoose model.
+     *
+     * The validator only succeeds if there is a match, and returns the
+     * record as new value.
+     *
+     * Key name will default to parameter name.
+     *
+     * The `extra` object can be used to add more fields to lookup criteria.
+     * It maps field names to paths of parameters in original data, or to
+     * functions which take the original data and return the value:
+     *
+     *     // Look up project by `name` within the tenant from `tenantId`
+     *     project: [['isDocument', Projects, 'name', {tenant: 'tenantId'}]]
+     *
+     * Errors reported by the adapter are treated as system errors.
+     *
+     * Lookups of the same record made during one check are done only once,
+     * and lookups in the same data store are batched into a single query
+     * (see `sanidate.loader`).
+     *
+     * @param {Object} source Lookup adapter or Mongoose model
+     * @param {String} key A database key to use for lookup (optional)
+     * @param {Object} extra Additional lookup criteria (optional)
+     */
+    'isDocument': function(source, key, extra) {
+      var paramObject = this;
+      var adapter = toAdapter(source);
+      key = key || this.name;
+      return function(v, next) {
+        if (v == null) { return next(null, null, 'isDocument'); }
+        loadRecord(paramObject, adapter, 'find', key, 
+                   lookupCriteria(paramObject, key, v, extra), 
+                   function(err, doc) {
+          if (err) { return next(err, null, 'isDocument'); }
+          next(null, doc || null, 'isDocument');
+        });
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.isNotDocument(source, [key], [extra])
+     *
+     * Tests if a record (document) that has the key-value part matching the
+     * value of the parameter _does not_ exist in a data store. Arguments are
+     * the same as for 'isDocument'.
+     *
+     * The validator fails if there is such a record, otherwise it returns
+     * the value of the parameter intact.
+     *
+     *     // Email must be unique within the tenant
+     *     email: ['email', ['isNotDocument', Users, 'email', {
+     *       tenant: 'tenantId'
+     *     }]]
+     *
+     * Uniqueness checks are often repeated for the same values (e.g., when
+     * the user retypes a username in a form). If slightly stale answers are
+     * acceptable, results can be cached across requests using
+     * `sanidate.adapters.cached`:
+     *
+     *     var cachedUsers = sanidate.adapters.cached(Users, 30000);
+     *     username: [['isNotDocument', cachedUsers]]
+     *
+     * @param {Object} source Lookup adapter or Mongoose model
+     * @param {String} key A database key to use for lookup (optional)
+     * @param {Object} extra Additional lookup criteria (optional)
+     */
+    'isNotDocument': function(source, key, extra) {
+      var paramObject = this;
+      var adapter = toAdapter(source);
+      key = key || this.name;
+      return function(v, next) {
+        if (v == null) { return next(null, null, 'isNotDocument'); }
+        loadRecord(paramObject, adapter, 'exists', key, 
+                   lookupCriteria(paramObject, key, v, extra), 
+                   function(err, exists) {
+          if (err) { return next(err, null, 'isNotDocument'); }
+          next(null, exists ? null : v, 'isNotDocument');
+        });
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.custom(func)
+     *
+     * Run a custom validation function. The custom function must have the same
+     * signature as normal validation functions, and must either call the next
+     * callback, or return the sanidated value or a promise.
+     *
+     * @param {Function} func Custom validation function
+     */
+    'custom': function(func) {
+      var paramObject = this;
+      return function(v, next) {
+        callConstraint(func, paramObject, v, 'custom', next);
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.optional(def)
+     *
+     * Interrupts sanidation immediately if no value is found, but does not
+     * fail validation.
+     *
+     * If `def` is a function, it will be executed with no arguments, and its
+     * return value will be used as the default value. Function is always 
+     * executed after it is determined that default value is needed.
+     *
+     * @param {Any} def Optional default value that is returned in case no
+     * value is found.
+     */
+    'optional': function(def) {
+      return function(v, next) {
+        next(null, v ? v : (typeof def === 'function' ? def() : def), 
+             v ? 'optional' : null);
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.optionalIfPreset(params, def)
+     *
+     * Interrupts sanidation immediately if no value is found, *and* values are
+     * found for parameters specified in `params` array. *All* parameters
+     * listed in `params` array *must* be present to make this field optional.
+     *
+     * If `params` is a single string, it will be treated as an array with
+     * single member.
+     *
+     * Default value of `def` can be used.
+     *
+     * If `def` is a function, it will be executed with no arguments, and its
+     * return value will be used as the default value. Function is always 
+     * executed after it is determined that default value is needed.
+     *
+     * @param {Array} params Array of parameter names that make this parameter
+     * optional.
+     * @param {Any} def Value or function to use as default.
+     */
+    'optionalIfPresent': function(params, def) {
+      if (typeof params === 'string') { params = [params]; }
+      var originalData = this.originalData;
+      var check = params.every(function(key) {
+        var o = getPath(originalData, key);
+        return o != null && o.length; 
+      });
+
+      return function(v, next) {
+        var newVal = v || (typeof def === 'function' ? def() : def);
+        if (check) {
+          // Behave as if value is optional
+          next(null, v ? v : newVal, v ? 'optionalIfPresent' : null);
+        } else {
+          // Value is required because (some of) other params are not present
+          next(null, v ? v : null, 'optionalIfPresent')
+        }
+      }
+    },
+
+    /**
+     * ### sanidate.derive(paramName, func);
+     *
+     * Uses data from another parameter to either derive its own value, or
+     * validate its value. 
+     *
+     * The `func` function accepts two arguments. First argument is the
+     * sanidated value of the current parameter. Second paramter is the
+     * original (unsanidated) value of the other parameter. The func must
+     * return a value, which is then used for validation. To fail validation,
+     * you must return `null`. All other values (including `undefined`) will be
+     * considered valid.
+     *
+     * Note that 'derive' only operates on the _original_ value of the other
+     * parameter, and not the sanidated value.
+     *
+     * @param {String} paramName Name of the other parameter to use for
+     * derivation
+     * @param {Function} func Validation function
+     */
+    'derive': function(paramName, func) {
+      var o = getPath(this.originalData, paramName);
+      return function(v, next) {
+        next(null, func(v, o), 'derive');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.each(constraints)
+     *
+     * Applies `constraints` to each member of an array. The `constraints` can
+     * be anything that can appear as a parameter's constraints in a schema
+     * (a constraint name, or an array of constraints), or a nested schema if
+     * array members are objects.
+     *
+     * If the value is not an array, it is treated as an array with single
+     * member (this is useful for multi-selects which submit a single value
+     * when only one option is selected).
+     *
+     * Returns an array of sanidated members. If any of the members fail, the
+     * validation fails, and failures are reported for each failed member
+     * using its index (e.g., `tags.2`, or `items.2.qty` for nested schemas).
+     * Members use labels and messages of the array (e.g., `tags`, or
+     * `items.qty`, see 'Error messages' section).
+     *
+     * @param {Array/Object} constraints Constraints or schema for members
+     */
+    'each': function(constraints) {
+      var paramObject = this;
+      return function(v, next) {
+        if (v == null) { return next(null, null, 'each'); }
+        v = toArray(v);
+
+        var results = [];
+        var failures = {};
+        var messages = {};
+        var failed = false;
+        var error = null;
+        var pending = v.length;
+
+        if (!pending) { return next(null, v, 'each'); }
+
+        function done() {
+          pending--;
+          if (pending) { return; }
+          if (error) { return next(error, null, 'each'); }
+          if (failed) { return next(null, null, failures, {message: messages}); }
+          next(null, results, 'each');
+        }
+
+        v.forEach(function(item, index) {
+          if (isSubSchema(constraints)) {
+            sanidate.check(item, constraints, 
+                           memberOptions(paramObject.options, paramObject.name,
+                                         index), 
+                           function(err, val) {
+              if (systemError(err)) {
+                error = error || systemError(err);
+              } else if (err) {
+                failed = true;
+                Object.keys(err.errors).forEach(function(key) {
+                  failures[index + '.' + key] = err.errors[key];
+                  messages[index + '.' + key] = err.messages[key];
+                });
+              }
+              results[index] = val;
+              done();
+            });
+          } else {
+            sanidate.checkParam(
+              paramObject.name + '.' + index, item, constraints, 
+              paramObject.originalData, paramObject.options,
+              function(err, val, constraintName, message) {
+                if (err) {
+                  error = error || err;
+                } else if (val === null) {
+                  failed = true;
+                  if (isSubSchema(constraintName)) {
+                    Object.keys(constraintName).forEach(function(key) {
+                      failures[index + '.' + key] = constraintName[key];
+                      messages[index + '.' + key] = message[key];
+                    });
+                  } else {
+                    failures[index] = constraintName;
+                    messages[index] = message;
+                  }
+                }
+                results[index] = val;
+                done();
+              });
+          }
+        });
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.minItems(n)
+     *
+     * Fails if array has fewer than `n` members. Non-array value is treated
+     * as an array with single member.
+     *
+     * @param {Number} n Minimum number of members
+     */
+    'minItems': function(n) {
+      return function(v, next) {
+        if (v == null) { return next(null, null, 'minItems'); }
+        v = toArray(v);
+        next(null, v.length >= n ? v : null, 'minItems');
+      };
+    },
+
+    /**
+     * ### sanidate.funcs.maxItems(n)
      *
-     * If the value matches any of the above, `false` is returned. Otherwise,
-     * `true` is returned.
+     * Fails if array has more than `n` members. Non-array value is treated as
+     * an array with single member.
      *
-     * This validator never fails.
+     * @param {Number} n Maximum number of members
      */
-    'isNotFalse': function() {
+    'maxItems': function(n) {
       return function(v, next) {
-        next(null, 'false no 0 off'.split(' ').indexOf(v) < 0, 'isFalse');
+        if (v == null) { return next(null, null, 'maxItems'); }
+        v = toArray(v);
+        next(null, v.length <= n ? v : null, 'maxItems');
       };
     },
 
     /**
-     * ### sanidate.func.strictBoolean(optional, def)
+     * ### sanidate.funcs.minLength(min)
      *
-     * Makes value match any of the strict boolean values. Fails if `optional`
-     * flag is not `true`, otherwise stops further sanidation and returns the
-     * original value or `def` is supplied, and original value is absent.
+     * Fails if value is shorter than `min`. Length of strings is measured in
+     * Unicode code points, so characters outside the Basic Multilingual Plane
+     * (e.g., emoji) count as one character. Length of arrays is the number of
+     * members. Other values are converted to strings for measuring.
      *
-     * If `def` is a function, it will be executed with no arguments, and its
-     * return value will be used as the default value. Function is always 
-     * executed after it is determined that default value is needed.
+     * On failure, the error message receives `min`, `max`, `length`, `array`
+     * (whether value is an array), and `bound` ('min' or 'max', depending on
+     * which limit was exceeded) placeholders.
      *
-     * @param {Boolean} optional Whether this parameter is optional (default:
-     * false)
-     * @param {Any} def Default value when value is missing
+     * Missing values (`null` or `undefined`) always fail, with `bound` set to
+     * 'required', and the message says that the value is required (e.g.,
+     * 'name is required'). To allow missing values, put 'optional' before
+     * the constraint.
+     *
+     * @param {Number} min Minimum length
      */
-    'strictBoolean': function(optional, def) {
-      return function(v, next) {
-        var isBool = 'true on yes 1 false off no 0'.split(' ').indexOf(v) > -1;
-        var isTrue = 'true on yes 1'.split(' ').indexOf(v) > -1;
-        var defVal = v || (typeof def === 'function' ? def() : def);
-        if (optional) {
-          return next(null, isBool ? isTrue : defVal, 
-                      defVal ? 'strictBoolean' : null);
-        }
-        next(null, isBool ? isTrue : null, 'strictBoolean');
-      }
+    'minLength': function(min) {
+      return lengthChecker('minLength', min);
     },
 
     /**
-     * ### sanidate.funcs.phone(digitsOnly)
+     * ### sanidate.funcs.maxLength(max)
      *
-     * Tests if 10 digits are contained in the value, and returns only the
-     * digits as string (`digitsOnly === true`), or a formatted US phone number
-     * (`digitsOnly === false`).
+     * Fails if value is longer than `max`. Length is measured the same way as
+     * for 'minLength'.
      *
-     * @param {Boolean} digitsOnly Optional flag to ask for digits without
-     * formatting.
+     * @param {Number} max Maximum length
      */
-    'phone': function(digitsOnly) {
-      return function(v, next) {
-        next(null, phoneRe.exec(v) ? 
-             (digitsOnly ? extractDigits(v) : formatPhone(v)) :
-             null, 'phone');
-      };
+    'maxLength': function(max) {
+      return lengthChecker('maxLength', null, max);
     },
 
     /**
-     * ### sanidate.funcs.isDocument(Model, [key])
+     * ### sanidate.funcs.length(min, [max])
      *
-     * Tests if a document that has the key-value pair matching the value of
-     * the parameter exists in a Mongoose/MongoDB database.
+     * Fails if value is shorter than `min` or longer than `max`. If `max` is
+     * omitted, there is no upper limit. Length is measured the same way as
+     * for 'minLength'.
      *
-     * The validator only succeeds if there is a match, and returns the
-     * document as new value.
+     *     username: ['required', ['length', 3, 20]]
      *
-     * Key name will default to parameter name.
+     * @param {Number} min Minimum length
+     * @param {Number} max Optional maximum length
+     */
+    'length': function(min, max) {
+      return lengthChecker('length', min, max);
+    },
+
+    /**
+     * ### sanidate.funcs.unique([key])
      *
-     * @param {mongoose.Model} Model A Mongoose model object
-     * @param {String} key A database key to use for lookup (optional)
+     * Fails if array contains duplicate members. If `key` is specified,
+     * members are expected to be objects, and values of their `key` property
+     * are compared instead. Comparison is strict (`===`).
+     *
+     * @param {String} key Optional property name to compare by
      */
-    'isDocument': function(Model, key) {
-      key = key || this.name;
+    'unique': function(key) {
       return function(v, next) {
-        if (v == null) { return next(null, null, 'isDocument'); }
-        var criteria = {};
-        criteria[key] = v;
-        Model.findOne(criteria, function(err, doc) {
-          if (err) { return next(err, null, 'isDocument'); }
-          next(null, doc || null, 'isDocument');
+        if (v == null) { return next(null, null, 'unique'); }
+        v = toArray(v);
+        var seen = [];
+        var isUnique = v.every(function(item) {
+          var val = key && item != null ? item[key] : item;
+          if (seen.indexOf(val) > -1) { return false; }
+          seen.push(val);
+          return true;
         });
+        next(null, isUnique ? v : null, 'unique');
       };
     },
 
     /**
-     * ### sanidate.funcs.isNotDocument(Model, [key])
+     * ### sanidate.funcs.when(condition, then, [otherwise])
      *
-     * Tests if a document that has the key-value part matching the value of
-     * the parameter _does not_ exist in a Mongoose/MongoDB database.
+     * Applies `then` constraints if `condition` is met, and `otherwise`
+     * constraints if it's not. If `otherwise` is omitted, and the condition
+     * is not met, the value is passed on as is, and any further constraints
+     * are not applied (as with 'optional').
      *
-     * The validator fails if there is such a document, otherwise it returns
-     * the value of the parameter intact.
+     * Condition is evaluated against the original data, and can be one of:
      *
-     * Key name will default to parameter name.
+     *  + `{field: 'name', is: value}`: value of `field` is `value`
+     *  + `{field: 'name', in: [values]}`: value of `field` is one of `values`
+     *  + `{field: 'name', present: true}`: `field` has a value (or doesn't
+     *    have one, if `present` is `false`)
+     *  + `{field: 'name', test: func}`: `func` returns truthy value when
+     *    called with the value of `field` and the original data
+     *  + a function which returns truthy value when called with the original
+     *    data
+     *  + an array of conditions, all of which must be met
      *
-     * @param {mongoose.Model} Model A Mongoose model object
-     * @param {String} key A database key to use for lookup (optional)
+     * Both `then` and `otherwise` can be anything that can appear as
+     * parameter's constraints in a schema.
+     *
+     * @param {Object/Function/Array} condition Condition to test
+     * @param {Array} then Constraints to apply if condition is met
+     * @param {Array} otherwise Constraints to apply otherwise (optional)
      */
-    'isNotDocument': function(Model, key) {
-      key = key || this.name;
+    'when': function(condition, then, otherwise) {
+      var paramObject = this;
       return function(v, next) {
-        if (v == null) { return next(null, null, 'isNotDocument'); }
-        var criteria = {};
-        criteria[key] = v;
-        Model.findOne(criteria, function(err, doc) {
-          if (err) { return next(err, null, 'isNotDocument'); }
-          next(null, doc ? null : v, 'isNotDocument');
-        });
+        var met = matchCondition(condition, paramObject.originalData, 
+                                 paramObject);
+        var constraints = met ? then : otherwise;
+
+        if (constraints == null) { return next(null, v, null); }
+
+        sanidate.checkParam(
+          paramObject.name, v, constraints, paramObject.originalData, 
+          paramObject.options, 
+          function(err, val, constraintName, message) {
+            if (err) { return next(err, null, constraintName); }
+            if (val === null) {
+              return next(null, null, constraintName, {message: message});
+            }
+            next(null, val, constraintName === null ? null : 'when');
+          });
       };
     },
 
     /**
-     * ### sanidate.funcs.custom(func)
+     * ### sanidate.funcs.trim()
      *
-     * Run a custom validation function. The custom function must have the same
-     * signature as normal validation functions, and must call the next
-     * callback.
+     * Removes whitespace from both ends of the value.
+     */
+    'trim': function() {
+      return sanitizer('trim', function(v) {
+        return v.replace(/^\s+|\s+$/g, '');
+      });
+    },
+
+    /**
+     * ### sanidate.funcs.lowercase()
      *
-     * @param {Function} func Custom validation function
+     * Converts the value to lower case.
      */
-    'custom': function(func) {
-      var paramObject = this;
-      return function(v, next) {
-        func.call(paramObject, v, next);
-      };
+    'lowercase': function() {
+      return sanitizer('lowercase', function(v) {
+        return v.toLowerCase();
+      });
     },
 
     /**
-     * ### sanidate.funcs.optional(def)
+     * ### sanidate.funcs.uppercase()
      *
-     * Interrupts sanidation immediately if no value is found, but does not
-     * fail validation.
+     * Converts the value to upper case.
+     */
+    'uppercase': function() {
+      return sanitizer('uppercase', function(v) {
+        return v.toUpperCase();
+      });
+    },
+
+    /**
+     * ### sanidate.funcs.collapseWhitespace()
      *
-     * If `def` is a function, it will be executed with no arguments, and its
-     * return value will be used as the default value. Function is always 
-     * executed after it is determined that default value is needed.
+     * Replaces each run of whitespace characters (including line breaks) with
+     * a single space. Use with 'trim' to also remove whitespace at both ends.
+     */
+    'collapseWhitespace': function() {
+      return sanitizer('collapseWhitespace', function(v) {
+        return v.replace(/\s+/g, ' ');
+      });
+    },
+
+    /**
+     * ### sanidate.funcs.truncate(n)
      *
-     * @param {Any} def Optional default value that is returned in case no
-     * value is found.
+     * Shortens the value to at most `n` characters. Characters outside the
+     * Basic Multilingual Plane (e.g., emoji) count as one character, and are
+     * never cut in half.
+     *
+     * @param {Number} n Maximum number of characters
      */
-    'optional': function(def) {
-      return function(v, next) {
-        next(null, v ? v : (typeof def === 'function' ? def() : def), 
-             v ? 'optional' : null);
+    'truncate': function(n) {
+      return sanitizer('truncate', function(v) {
+        var chars = codePoints(v);
+        return chars.length > n ? chars.slice(0, n).join('') : v;
+      });
+    },
+
+    /**
+     * ### sanidate.funcs.escapeHTML()
+     *
+     * Escapes characters which have special meaning in HTML (`&`, `<`, `>`,
+     * `"`, and `'`), so the value can be safely inserted into HTML.
+     */
+    'escapeHTML': function() {
+      var entities = {
+        '&': '&amp;', 
+        '<': '&lt;', 
+        '>': '&gt;', 
+        '"': '&quot;', 
+        "'": '&#39;'
       };
+      return sanitizer('escapeHTML', function(v) {
+        return v.replace(/[&<>"']/g, function(c) { return entities[c]; });
+      });
     },
 
     /**
-     * ### sanidate.funcs.optionalIfPreset(params, def)
+     * ### sanidate.funcs.stripTags([allowed])
      *
-     * Interrupts sanidation immediately if no value is found, *and* values are
-     * found for parameters specified in `params` array. *All* parameters
-     * listed in `params` array *must* be present to make this field optional.
+     * Removes HTML tags and comments from the value. Contents of `script` and
+     * `style` elements are removed as well. Tags whose names appear in the
+     * `allowed` array are kept, but all their attributes are removed.
      *
-     * If `params` is a single string, it will be treated as an array with
-     * single member.
+     * Tags are removed repeatedly until none are left, so tags cannot be
+     * smuggled in by nesting them in other tags, and any remaining `<` and
+     * `>` characters (e.g., of unclosed tags) are escaped:
      *
-     * Default value of `def` can be used.
+     *     '<<b>script>alert(1)<</b>/script>' // => ''
+     *     '<img src=x onerror=alert(1)'       // => '&lt;img src=x ...'
+     *     '<a href="x>y">link</a>'            // => 'link'
+     *     '1 < 2'                             // => '1 &lt; 2'
+     *     '<a title="1<2">x</a>'              // => '&lt;a title="1&lt;2"&gt;x'
      *
-     * If `def` is a function, it will be executed with no arguments, and its
-     * return value will be used as the default value. Function is always 
-     * executed after it is determined that default value is needed.
+     * Quoted attribute values may not contain `<` (such tags are escaped
+     * instead of removed), which keeps the time linear in the length of the
+     * value even for malformed input (e.g., '<a "' repeated many times), so
+     * it's safe to use on request bodies. Tags are removed in at most 10
+     * passes, and anything left after that is escaped.
      *
-     * @param {Array} params Array of parameter names that make this parameter
-     * optional.
-     * @param {Any} def Value or function to use as default.
+     * Other characters (like `&` or quotes) are left intact, so the result is
+     * safe to insert into HTML element content, but not into attribute
+     * values; use 'escapeHTML' for those.
+     *
+     * @param {Array} allowed Optional array of allowed tag names
      */
-    'optionalIfPresent': function(params, def) {
-      if (typeof params === 'string') { params = [params]; }
-      var originalData = this.originalData;
-      var check = params.every(function(key) {
-        return originalData[key] != null && originalData[key].length; 
+    'stripTags': function(allowed) {
+      allowed = (allowed || []).map(function(tag) {
+        return tag.toLowerCase();
       });
 
-      return function(v, next) {
-        var newVal = v || (typeof def === 'function' ? def() : def);
-        if (check) {
-          // Behave as if value is optional
-          next(null, v ? v : newVal, v ? 'optionalIfPresent' : null);
-        } else {
-          // Value is required because (some of) other params are not present
-          next(null, v ? v : null, 'optionalIfPresent')
+      function strip(v) {
+        return v
+          .replace(/<!--[\s\S]*?(-->|$)/g, '')
+          .replace(/<(script|style)\b[^<>]*>[\s\S]*?(<\/\1\s*>|$)/gi, 
+                   function(element, tag) {
+            return allowed.indexOf(tag.toLowerCase()) > -1 ? element : '';
+          })
+          .replace(
+            /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)\b(?:[^<>"']|"[^"<]*"|'[^'<]*')*?(\/?)>/g,
+            function(tag, closing, name, selfClosing) {
+              name = name.toLowerCase();
+              if (allowed.indexOf(name) < 0) { return ''; }
+              return '<' + closing + name + (selfClosing ? ' /' : '') + '>';
+            });
+      }
+
+      return sanitizer('stripTags', function(v) {
+        var previous;
+        var passes = 0;
+        // Patterns never scan past `<`, so each pass takes linear time, and
+        // the number of passes is limited, since leftovers are escaped anyway
+        do {
+          previous = v;
+          v = strip(v);
+          passes++;
+        } while (v !== previous && passes < 10);
+        // Only normalized allowed tags are left, so escape anything else
+        return v.replace(/<(\/?)([a-z][a-z0-9-]*)( \/)?>|[<>]/g, 
+                         function(match, closing, name) {
+          if (name && allowed.indexOf(name) > -1) { return match; }
+          return match.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        });
+      });
+    },
+
+    /**
+     * ### sanidate.funcs.normalizeUnicode([form])
+     *
+     * Converts the value to Unicode normalization form `form`, which can be
+     * 'NFC' (default), 'NFD', 'NFKC', or 'NFKD'. 'NFC' makes visually
+     * identical strings compare as equal, and 'NFKC' additionally replaces
+     * compatibility characters (e.g., full-width letters, or ligatures) with
+     * their plain equivalents. Value is left as is on platforms that don't
+     * support normalization.
+     *
+     * @param {String} form Optional normalization form
+     */
+    'normalizeUnicode': function(form) {
+      return sanitizer('normalizeUnicode', function(v) {
+        return v.normalize ? v.normalize(form || 'NFC') : v;
+      });
+    },
+
+    /**
+     * ### sanidate.funcs.stripControlChars()
+     *
+     * Removes control characters (such as NUL, backspace, or escape) from the
+     * value. Tabs and line breaks are kept.
+     */
+    'stripControlChars': function() {
+      return sanitizer('stripControlChars', function(v) {
+        return v.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g, '');
+      });
+    }
+
+  };
+
+  /**
+   * ## sanidate.phoneMeta
+   *
+   * Phone number metadata used by 'phone' constraint. Maps ISO 3166-1
+   * alpha-2 country codes to objects with following keys:
+   *
+   *  + `code`: Country calling code (e.g., '49')
+   *  + `trunk`: Trunk prefix used when dialing within the country (e.g., '0')
+   *  + `pattern`: Regexp which the national number (without any prefixes)
+   *    must match
+   *  + `national`: Template, or array of templates for formatting numbers in
+   *    national format, where `x` stands for a digit (template with as many
+   *    `x` characters as there are digits in the number is used); if none
+   *    matches, trunk prefix followed by the digits is used
+   *
+   * The metadata only covers lengths and leading digits of numbers, not full
+   * numbering plans. You can add or adjust countries by modifying this
+   * object.
+   */
+  sanidate.phoneMeta = {
+    US: {code: '1', trunk: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, 
+         national: '(xxx) xxx-xxxx'},
+    CA: {code: '1', trunk: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, 
+         national: '(xxx) xxx-xxxx'},
+    GB: {code: '44', trunk: '0', pattern: /^[1-9]\d{8,9}$/},
+    IE: {code: '353', trunk: '0', pattern: /^[1-9]\d{6,9}$/},
+    DE: {code: '49', trunk: '0', pattern: /^[1-9]\d{5,12}$/},
+    AT: {code: '43', trunk: '0', pattern: /^[1-9]\d{3,12}$/},
+    CH: {code: '41', trunk: '0', pattern: /^[1-9]\d{8}$/, 
+         national: '0xx xxx xx xx'},
+    FR: {code: '33', trunk: '0', pattern: /^[1-9]\d{8}$/, 
+         national: '0x xx xx xx xx'},
+    BE: {code: '32', trunk: '0', pattern: /^[1-9]\d{7,8}$/},
+    NL: {code: '31', trunk: '0', pattern: /^[1-9]\d{8}$/, 
+         national: '0xx xxx xxxx'},
+    LU: {code: '352', pattern: /^[2-9]\d{4,10}$/},
+    ES: {code: '34', pattern: /^[5-9]\d{8}$/, national: 'xxx xx xx xx'},
+    PT: {code: '351', pattern: /^[29]\d{8}$/, national: 'xxx xxx xxx'},
+    IT: {code: '39', pattern: /^[03]\d{5,10}$/},
+    DK: {code: '45', pattern: /^[2-9]\d{7}$/, national: 'xx xx xx xx'},
+    NO: {code: '47', pattern: /^[2-9]\d{7}$/, national: 'xx xx xx xx'},
+    SE: {code: '46', trunk: '0', pattern: /^[1-9]\d{6,9}$/},
+    FI: {code: '358', trunk: '0', pattern: /^[1-9]\d{4,11}$/},
+    PL: {code: '48', pattern: /^[1-9]\d{8}$/, national: 'xxx xxx xxx'},
+    CZ: {code: '420', pattern: /^[2-9]\d{8}$/, national: 'xxx xxx xxx'},
+    GR: {code: '30', pattern: /^[26]\d{9}$/},
+    AU: {code: '61', trunk: '0', pattern: /^[2-478]\d{8}$/, 
+         national: '0x xxxx xxxx'}
+  };
+
+  /**
+   * ## sanidate.postalCodes
+   *
+   * Postal code formats used by 'postalCode' constraint. Maps ISO 3166-1
+   * alpha-2 country codes to objects with following keys:
+   *
+   *  + `pattern`: Regexp which the trimmed and upper-cased postal code must
+   *    match
+   *  + `format`: Optional replacement string (or function), used with
+   *    `pattern` to convert the postal code to its canonical format
+   *
+   * You can add or adjust countries by modifying this object.
+   */
+  sanidate.postalCodes = {
+    US: {pattern: /^(\d{5})(?:[ -]?(\d{4}))?$/, format: function(m, zip, ext) {
+      return ext ? zip + '-' + ext : zip;
+    }},
+    CA: {
+      pattern: /^([ABCEGHJ-NPRSTVXY]\d[A-CEGHJ-NPR-TV-Z]) ?(\d[A-CEGHJ-NPR-TV-Z]\d)$/,
+      format: '$1 $2'
+    },
+    GB: {pattern: /^([A-Z]{1,2}\d[A-Z\d]?) ?(\d[A-Z]{2})$/, format: '$1 $2'},
+    IE: {pattern: /^([AC-FHKNPRTV-Y]\d{2}|D6W) ?([0-9AC-FHKNPRTV-Y]{4})$/,
+         format: '$1 $2'},
+    DE: {pattern: /^\d{5}$/},
+    AT: {pattern: /^[1-9]\d{3}$/},
+    CH: {pattern: /^[1-9]\d{3}$/},
+    FR: {pattern: /^\d{5}$/},
+    BE: {pattern: /^[1-9]\d{3}$/},
+    NL: {pattern: /^([1-9]\d{3}) ?([A-Z]{2})$/, format: '$1 $2'},
+    LU: {pattern: /^(?:L-)?(\d{4})$/, format: '$1'},
+    ES: {pattern: /^(?:0[1-9]|[1-4]\d|5[0-2])\d{3}$/},
+    PT: {pattern: /^(\d{4})-?(\d{3})$/, format: '$1-$2'},
+    IT: {pattern: /^\d{5}$/},
+    DK: {pattern: /^\d{4}$/},
+    NO: {pattern: /^\d{4}$/},
+    SE: {pattern: /^(\d{3}) ?(\d{2})$/, format: '$1 $2'},
+    FI: {pattern: /^\d{5}$/},
+    PL: {pattern: /^(\d{2})-?(\d{3})$/, format: '$1-$2'},
+    CZ: {pattern: /^(\d{3}) ?(\d{2})$/, format: '$1 $2'},
+    GR: {pattern: /^(\d{3}) ?(\d{2})$/, format: '$1 $2'},
+    AU: {pattern: /^\d{4}$/}
+  };
+
+  /**
+   * ## sanidate.adapters
+   *
+   * Factories of lookup adapters used by 'isDocument' and 'isNotDocument'
+   * constraints. A lookup adapter is an object with following methods:
+   *
+   *  + `find(criteria, cb)`: Finds a record matching all key-value pairs in
+   *    `criteria` object, and calls `cb` with an error (or `null`) and the
+   *    record (or `null` if there is no match)
+   *  + `exists(criteria, cb)`: Calls `cb` with an error (or `null`) and a
+   *    boolean which is `true` if matching record exists; this method is
+   *    optional, and `find` is used if it's missing
+   *  + `findAll(key, values, criteria, cb)`: Finds all records whose `key`
+   *    matches any of the `values` array, and other keys match the
+   *    `criteria` object, and calls `cb` with an error (or `null`) and an
+   *    array of records; this method is optional, and it's used to batch
+   *    lookups (see `sanidate.loader`)
+   *
+   * Instead of calling `cb`, methods may return a promise. This makes it easy
+   * to write adapters for any data store:
+   *
+   *     var users = {
+   *       find: function(criteria) {
+   *         return pg.query('SELECT * FROM users WHERE email = $1', 
+   *                         [criteria.email]).then(function(result) {
+   *           return result.rows[0] || null;
+   *         });
+   *       }
+   *     };
+   *
+   *     var schema = {email: ['email', ['isNotDocument', users, 'email']]};
+   *
+   * Objects that have a `findOne` method (like Mongoose models) are wrapped
+   * in the Mongoose adapter automatically.
+   */
+  sanidate.adapters = {
+    /**
+     * ### sanidate.adapters.mongoose(Model)
+     *
+     * Creates an adapter for Mongoose `Model`, which looks records up using
+     * `Model.findOne(criteria, cb)`, and batches lookups using
+     * `Model.find(criteria, cb)` with `$in` queries. Callbacks are not
+     * supported by Mongoose 7 and later (detected using the version of the
+     * `mongoose` instance the model belongs to), so with those versions
+     * queries are run using `exec()`, which returns a promise, instead.
+     * Either way, each query is run once.
+     *
+     * @param {mongoose.Model} Model A Mongoose model object
+     * @return {Object} Lookup adapter
+     */
+    mongoose: function(Model) {
+      var adapter = {
+        Model: Model,
+        find: function(criteria, cb) {
+          runQuery(Model, 'findOne', criteria, function(err, doc) {
+            cb(err, doc || null);
+          });
         }
+      };
+      // Models that only have `findOne` are looked up one record at a time
+      if (typeof Model.find === 'function') {
+        adapter.findAll = function(key, values, criteria, cb) {
+          var query = extend({}, criteria);
+          query[key] = {$in: values};
+          runQuery(Model, 'find', query, function(err, docs) {
+            cb(err, docs || []);
+          });
+        };
       }
+      return adapter;
     },
 
     /**
-     * ### sanidate.derive(paramName, func);
+     * ### sanidate.adapters.memory([records])
      *
-     * Uses data from another parameter to either derive its own value, or
-     * validate its value. 
+     * Creates an adapter which looks records up in the `records` array of
+     * objects (criteria keys may be dotted paths), which is useful in tests.
+     * The array is available as `records` property of the adapter, so records
+     * can be added after the adapter is created.
      *
-     * The `func` function accepts two arguments. First argument is the
-     * sanidated value of the current parameter. Second paramter is the
-     * original (unsanidated) value of the other parameter. The func must
-     * return a value, which is then used for validation. To fail validation,
-     * you must return `null`. All other values (including `undefined`) will be
-     * considered valid.
+     *     var users = sanidate.adapters.memory([{email: 'foo@example.com'}]);
      *
-     * Note that 'derive' only operates on the _original_ value of the other
-     * parameter, and not the sanidated value.
+     * @param {Array} records Optional array of records
+     * @return {Object} Lookup adapter
+     */
+    memory: function(records) {
+      var adapter = {
+        records: records || [],
+        find: function(criteria, cb) {
+          var found = adapter.records.filter(function(record) {
+            return Object.keys(criteria).every(function(key) {
+              return getPath(record, key) === criteria[key];
+            });
+          })[0];
+          cb(null, found || null);
+        },
+        exists: function(criteria, cb) {
+          adapter.find(criteria, function(err, record) {
+            cb(err, record !== null);
+          });
+        },
+        findAll: function(key, values, criteria, cb) {
+          cb(null, adapter.records.filter(function(record) {
+            return values.indexOf(getPath(record, key)) > -1 &&
+              Object.keys(criteria).every(function(field) {
+                return getPath(record, field) === criteria[field];
+              });
+          }));
+        }
+      };
+      return adapter;
+    },
+
+    /**
+     * ### sanidate.adapters.cached(source, [ttl])
      *
-     * @param {String} paramName Name of the other parameter to use for
-     * derivation
-     * @param {Function} func Validation function
+     * Wraps the `source` adapter (or Mongoose model) so that results of
+     * `exists` lookups (used by 'isNotDocument') are remembered for `ttl`
+     * milliseconds (default: 60000). Other lookups are not cached.
+     *
+     * Cached results may be stale: a record created after a lookup is not
+     * seen until the result expires, so a value may pass a uniqueness check
+     * even though it's already taken. Use this only where that's acceptable
+     * (e.g., in addition to a unique index in the database). The cache can
+     * be emptied using the `clear()` method of the adapter.
+     *
+     *     var users = sanidate.adapters.cached(User, 10000);
+     *     // After creating a user
+     *     users.clear();
+     *
+     * @param {Object} source Lookup adapter or Mongoose model
+     * @param {Number} ttl Optional time to live of results in milliseconds
+     * @return {Object} Lookup adapter
      */
-    'derive': function(paramName, func) {
-      var o = this.originalData[paramName];
-      return function(v, next) {
-        next(null, func(v, o), 'derive');
+    cached: function(source, ttl) {
+      var adapter = toAdapter(source);
+      var results = {};
+      var sweepAt = 0;
+      var cached;
+
+      ttl = ttl == null ? 60000 : ttl;
+      cached = {
+        find: function(criteria, cb) {
+          callAdapter(adapter, 'find', [criteria], cb);
+        },
+        exists: function(criteria, cb) {
+          var id = JSON.stringify(criteria);
+          var now = Date.now();
+
+          // Drop expired results now and then, so the cache doesn't grow
+          if (now >= sweepAt) {
+            Object.keys(results).forEach(function(id) {
+              if (results[id].expires <= now) { delete results[id]; }
+            });
+            sweepAt = now + ttl;
+          }
+          if (results.hasOwnProperty(id) && results[id].expires > now) {
+            return cb(null, results[id].exists);
+          }
+          callAdapter(adapter, 'exists', [criteria], function(err, exists) {
+            if (!err) {
+              results[id] = {exists: exists, expires: Date.now() + ttl};
+            }
+            cb(err, exists);
+          });
+        },
+        clear: function() {
+          results = {};
+        }
       };
+
+      if (typeof adapter.findAll === 'function') {
+        cached.findAll = function(key, values, criteria, cb) {
+          callAdapter(adapter, 'findAll', [key, values, criteria], cb);
+        };
+      }
+      return cached;
+    }
+  };
+
+  /**
+   * ## sanidate.loader()
+   *
+   * Creates a loader, which is used by 'isDocument' and 'isNotDocument'
+   * constraints to make as few lookups as possible. A new loader is created
+   * for each `sanidate.check` call (and thus for each request handled by
+   * middlewares), unless one is passed using the `loader` option.
+   *
+   * Loader performs each distinct lookup in a data store only once, and
+   * remembers its result for as long as the loader exists. Lookups in
+   * adapters that have a `findAll` method (see `sanidate.adapters`) are
+   * also queued, and all lookups in the same data store by the same key
+   * (and with the same other criteria) are made as a single query. Lookups
+   * made by 'isNotDocument' are batched only if the adapter has no `exists`
+   * method. Keys of the records returned by `findAll` are compared to
+   * looked up values as strings, so numbers and ObjectIds match their
+   * string forms.
+   *
+   * To share lookups among many checks (e.g., when importing many records),
+   * pass the same loader to all of them:
+   *
+   *     var loader = sanidate.loader();
+   *     Promise.all(rows.map(function(row) {
+   *       return sanidate.check(row, schema, {loader: loader});
+   *     }));
+   *
+   * Since results are never refreshed, a loader should not outlive the
+   * request (or the job) it was created for. To cache results across
+   * requests, use `sanidate.adapters.cached` instead.
+   *
+   * @return {Object} Loader object
+   */
+  sanidate.loader = function() {
+    return new Loader();
+  };
+
+  /**
+   * ## sanidate.cardBrands
+   *
+   * Maps credit card brand names to regexps matching their card numbers
+   * (digits only). Used by `sanidate.cardBrand`, and 'creditCard' constraint.
+   * Brands are tested in order, so more specific patterns come first.
+   */
+  sanidate.cardBrands = {
+    visa: /^4(\d{12}|\d{15}|\d{18})$/,
+    mastercard: /^(5[1-5]\d{2}|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)\d{12}$/,
+    amex: /^3[47]\d{13}$/,
+    discover: /^6(011|4[4-9]\d|5\d{2})\d{12,15}$/,
+    diners: /^3(0[0-5]|[689]\d)\d{11,16}$/,
+    jcb: /^35(2[89]|[3-8]\d)\d{12,15}$/,
+    unionpay: /^62\d{14,17}$/,
+    maestro: /^(5[06-9]|6\d)\d{10,17}$/
+  };
+
+  /**
+   * ## sanidate.cardBrand(number)
+   *
+   * Returns the brand of the credit card `number` (e.g., 'visa') as defined
+   * in `sanidate.cardBrands`, or `null` if brand is not recognized. Spaces
+   * and dashes in the number are ignored. Note that this function does not
+   * validate the number (use 'creditCard' constraint for that).
+   *
+   * @param {String} number Credit card number
+   * @return {String} Brand name or `null`
+   */
+  sanidate.cardBrand = function(number) {
+    var digits = String(number).replace(/[\s-]/g, '');
+    var brand = null;
+    Object.keys(sanidate.cardBrands).some(function(name) {
+      if (sanidate.cardBrands[name].test(digits)) { brand = name; }
+      return brand !== null;
+    });
+    return brand;
+  };
+
+  /**
+   * ## sanidate.ibanLengths
+   *
+   * Maps ISO 3166-1 alpha-2 country codes to lengths of their IBANs. Used by
+   * 'iban' constraint. IBANs for countries not listed here are only checked
+   * for general format and checksum.
+   */
+  sanidate.ibanLengths = {
+    AD: 24, AE: 23, AT: 20, BA: 20, BE: 16, BG: 22, BH: 22, BR: 29, CH: 21,
+    CY: 28, CZ: 24, DE: 22, DK: 18, EE: 20, ES: 24, FI: 18, FO: 18, FR: 27,
+    GB: 22, GI: 23, GL: 18, GR: 27, HR: 21, HU: 28, IE: 22, IL: 23, IS: 26,
+    IT: 27, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, ME: 22, MK: 19, MT: 31,
+    NL: 18, NO: 15, PL: 28, PT: 25, RO: 24, RS: 22, SA: 24, SE: 24, SI: 19,
+    SK: 24, SM: 27, TR: 26, UA: 29
+  };
+
+  /**
+   * ## sanidate.signatures
+   *
+   * Maps constraint names to arrays of their argument specifications. Each
+   * specification is a string in `name:type` format. Argument names are used
+   * as placeholders in error messages (e.g., `{x}` in the message for 'min'
+   * constraint is replaced by the value of its `x` argument), and types are
+   * used to check the arguments when schema is compiled (see
+   * `sanidate.compile`).
+   *
+   * Type can be any of the `typeof` results (e.g., 'number', 'function'), or
+   * one of the following: 'any', 'array', 'regexp', 'object' (any non-null
+   * object), 'schema' (nested schema), 'constraints' (anything that can
+   * appear as parameter's constraints in a schema), and 'condition' (see
+   * `sanidate.funcs.when`). Multiple types can be separated by a pipe
+   * character (`|`), and a type followed by `?` marks the argument as
+   * optional. Type may be omitted, in which case it defaults to 'any?'.
+   *
+   * If you add your own constraints to `sanidate.funcs`, you should also add
+   * their signatures here if you want to use their arguments in messages, or
+   * have their arguments checked. Constraints without signatures accept any
+   * arguments.
+   */
+  sanidate.signatures = {
+    required: [],
+    'enum': ['allowed:array'],
+    match: ['pattern:regexp'],
+    numeric: ['strict:boolean?', 'locale:string?'],
+    integer: ['strict:boolean?', 'locale:string?'],
+    min: ['x:number', 'integer:boolean?', 'equality:boolean?', 
+          'locale:string?'],
+    max: ['x:number', 'integer:boolean?', 'equality:boolean?', 
+          'locale:string?'],
+    between: ['lo:number', 'hi:number', 'options:object?'],
+    decimal: ['places:number', 'round:boolean?'],
+    money: ['places:number?'],
+    date: ['options:boolean|object?'],
+    minDate: ['limit:object|number|string|function'],
+    maxDate: ['limit:object|number|string|function'],
+    email: [],
+    zip: [],
+    isTrue: ['locale:string?'],
+    isNotFalse: ['locale:string?'],
+    strictBoolean: ['optional:boolean?', 'def:any?', 'locale:string?'],
+    phone: ['country:boolean|string|array?', 'format:string?'],
+    postalCode: ['country:string|array?'],
+    url: ['schemes:array?', 'normalize:boolean?'],
+    ipv4: [],
+    ipv6: [],
+    cidr: ['version:number?'],
+    uuid: ['version:number?'],
+    hostname: [],
+    creditCard: ['brands:array?'],
+    iban: [],
+    isDocument: ['source:object|function', 'key:string?', 'extra:object?'],
+    isNotDocument: ['source:object|function', 'key:string?', 
+                    'extra:object?'],
+    custom: ['func:function'],
+    optional: ['def:any?'],
+    optionalIfPresent: ['params:string|array', 'def:any?'],
+    derive: ['paramName:string', 'func:function'],
+    each: ['constraints:schema|constraints'],
+    minItems: ['n:number'],
+    maxItems: ['n:number'],
+    unique: ['key:string?'],
+    minLength: ['min:number'],
+    maxLength: ['max:number'],
+    length: ['min:number', 'max:number?'],
+    when: ['condition:condition', 'then:constraints', 'otherwise:constraints?'],
+    trim: [],
+    lowercase: [],
+    uppercase: [],
+    collapseWhitespace: [],
+    truncate: ['n:number'],
+    escapeHTML: [],
+    stripTags: ['allowed:array?'],
+    normalizeUnicode: ['form:string?'],
+    stripControlChars: []
+  };
+
+  /**
+   * ## sanidate.messages
+   *
+   * Error message catalog. Maps locale names to objects which map constraint
+   * names to messages. Messages may contain placeholders in curly braces,
+   * which are replaced by constraint arguments (see `sanidate.signatures`),
+   * and a few special values:
+   *
+   *  + `{label}`: label of the parameter (see 'Error messages' section)
+   *  + `{value}`: original value of the parameter
+   *
+   * Instead of a string, a message can also be a function which takes an
+   * object containing all of the above values, and returns a string.
+   *
+   * The `invalid` key is used for constraints that have no message in the
+   * catalog, and the `$form` key is the label used in messages of form-wide
+   * validators (see 'Cross-field validation' section).
+   *
+   * Only English ('en') messages are bundled. You can add other locales by
+   * adding new keys to this object.
+   */
+  sanidate.messages = {
+    en: {
+      $form: 'The form',
+      invalid: '{label} is not valid',
+      required: '{label} is required',
+      'enum': '{label} must be one of: {allowed}',
+      match: '{label} is not in the correct format',
+      numeric: '{label} must be a number',
+      integer: '{label} must be a whole number',
+      min: function(p) {
+        return p.label + ' must be ' + (p.equality ? 'at least ' : 
+                                        'greater than ') + p.x;
+      },
+      max: function(p) {
+        return p.label + ' must be ' + (p.equality ? 'at most ' : 
+                                        'less than ') + p.x;
+      },
+      between: '{label} must be between {lo} and {hi}',
+      decimal: '{label} must have at most {places} decimal places',
+      money: '{label} must be a valid amount',
+      date: function(p) {
+        return p.label + ' must be a valid date' + 
+          (p.format ? ' (' + p.format.replace('iso', 'ISO 8601') + ')' : '');
+      },
+      minDate: '{label} must not be earlier than {date}',
+      maxDate: '{label} must not be later than {date}',
+      email: '{label} must be a valid email address',
+      zip: '{label} must be a valid zip code',
+      isTrue: '{label} is not valid',
+      isFalse: '{label} is not valid',
+      isNotFalse: '{label} is not valid',
+      strictBoolean: '{label} must be either yes or no',
+      phone: '{label} must be a valid phone number',
+      postalCode: '{label} must be a valid postal code',
+      url: '{label} must be a valid URL',
+      ipv4: '{label} must be a valid IPv4 address',
+      ipv6: '{label} must be a valid IPv6 address',
+      cidr: '{label} must be a valid IP address range',
+      uuid: '{label} must be a valid UUID',
+      hostname: '{label} must be a valid host name',
+      creditCard: '{label} must be a valid credit card number',
+      iban: '{label} must be a valid IBAN',
+      isDocument: '{label} does not exist',
+      isNotDocument: '{label} is already taken',
+      custom: '{label} is not valid',
+      optional: '{label} is not valid',
+      optionalIfPresent: '{label} is required',
+      derive: '{label} is not valid',
+      each: '{label} contains invalid items',
+      minItems: '{label} must have at least {n} items',
+      maxItems: '{label} must have at most {n} items',
+      unique: '{label} must not contain duplicates',
+      minLength: function(p) {
+        return p.label + (p.bound === 'required' ? ' is required' : 
+          ' must have at least ' + lengthUnits(p.min, p.array));
+      },
+      maxLength: function(p) {
+        return p.label + (p.bound === 'required' ? ' is required' : 
+          ' must have at most ' + lengthUnits(p.max, p.array));
+      },
+      length: function(p) {
+        return p.label + (p.bound === 'required' ? ' is required' : 
+          p.bound === 'max' ? 
+          ' must have at most ' + lengthUnits(p.max, p.array) : 
+          ' must have at least ' + lengthUnits(p.min, p.array));
+      },
+      when: '{label} is not valid'
     }
+  };
+
+  /**
+   * ## sanidate.locale
+   *
+   * Default locale used for error messages. Defaults to 'en'. Locale can also
+   * be selected for each `sanidate.check` call using `locale` option.
+   */
+  sanidate.locale = 'en';
+
+  /**
+   * ## sanidate.locales
+   *
+   * Locale data used for parsing numbers and booleans. Maps locale names to
+   * objects with following keys:
+   *
+   *  + `decimal`: Decimal separator
+   *  + `group`: Group (thousands) separator, or array of separators
+   *  + `truthy`: Words which mean `true` (see 'isTrue' and 'strictBoolean')
+   *  + `falsy`: Words which mean `false` (see 'isNotFalse' and
+   *    'strictBoolean')
+   *
+   * Locale is selected using `numberLocale` option of `sanidate.check`, or
+   * `locale` argument of individual constraints. The `locale` option, which
+   * selects the language of error messages, does not affect parsing, and
+   * neither does the default message locale (`sanidate.locale`), so values
+   * are parsed the same way regardless of the language of messages.
+   * Region-specific locales fall back to the language (e.g., 'de-AT' uses
+   * 'de'), and unknown locales fall back to 'en'. Note that numbers are only
+   * parsed using locale separators if a locale is selected explicitly, while
+   * boolean constraints use 'en' words by default.
+   *
+   *     sanidate.check({qty: '1,5'}, {qty: 'numeric'}, {locale: 'de'})
+   *     // => {qty: 1} (messages are in German, but '1,5' is not a number)
+   *     sanidate.check({qty: '1,5'}, {qty: 'numeric'}, {numberLocale: 'de'})
+   *     // => {qty: 1.5}
+   *
+   *     sanidate.locale = 'de';
+   *     sanidate.check({ok: 'ja'}, {ok: 'strictBoolean'})
+   *     // => fails ('ja' is not an English word)
+   *     sanidate.check({ok: 'ja'}, {ok: 'strictBoolean'}, {numberLocale: 'de'})
+   *     // => {ok: true}
+   *
+   * Bundled locales are 'en', 'de', 'fr', 'es', 'it', 'nl', and 'pt'. All of
+   * them also accept English words, and '1' and '0', since those are used
+   * by form controls. You can add other locales by adding new keys to this
+   * object.
+   */
+  sanidate.locales = (function() {
+    var truthy = ['true', 'yes', 'on', '1'];
+    var falsy = ['false', 'no', 'off', '0'];
+    return {
+      en: {decimal: '.', group: ',', truthy: truthy, falsy: falsy},
+      de: {decimal: ',', group: '.', 
+           truthy: truthy.concat('ja', 'wahr', 'an'),
+           falsy: falsy.concat('nein', 'falsch', 'aus')},
+      fr: {decimal: ',', group: [' ', '\u00a0', '\u202f', '.'], 
+           truthy: truthy.concat('oui', 'vrai'),
+           falsy: falsy.concat('non', 'faux')},
+      es: {decimal: ',', group: '.', 
+           truthy: truthy.concat('si', 's\u00ed', 'verdadero'),
+           falsy: falsy.concat('falso')},
+      it: {decimal: ',', group: '.', 
+           truthy: truthy.concat('si', 's\u00ec', 'vero'),
+           falsy: falsy.concat('falso')},
+      nl: {decimal: ',', group: '.', 
+           truthy: truthy.concat('ja', 'waar', 'aan'),
+           falsy: falsy.concat('nee', 'onwaar', 'uit')},
+      pt: {decimal: ',', group: '.', 
+           truthy: truthy.concat('sim', 'verdadeiro'),
+           falsy: falsy.concat('n\u00e3o', 'nao', 'falso')}
+    };
+  }());
 
-  };
+  /**
+   * ## sanidate.Promise
+   *
+   * Promise constructor used when `sanidate.check` is called without a
+   * callback. Defaults to global `Promise` if available.
+   */
+  sanidate.Promise = typeof Promise === 'function' ? Promise : null;
+
+  /**
+   * ## sanidate.collectable
+   *
+   * Array of names of constraints which only check the value, and do not
+   * convert it. When `collectAll` option is used (see `sanidate.check`), 
+   * failure of one of these constraints does not stop the constraint chain, 
+   * and the next constraint receives the value as it was before the failed
+   * constraint. Failures of all other constraints stop the chain as usual.
+   *
+   * If you add your own checking constraints to `sanidate.funcs`, you can
+   * add their names here as well.
+   */
+  sanidate.collectable = ['enum', 'match', 'email', 'zip', 'custom', 'derive',
+    'minItems', 'maxItems', 'unique', 'minLength', 'maxLength', 'length',
+    'minDate', 'maxDate'];
 
   /**
-   * ## sanidate.checkParam(paramName, value, constraints, data, cb)
+   * ## sanidate.checkParam(paramName, value, constraints, data, [options], cb)
    *
    * Runs constraints on a parameter with `paramName` name, `value` value, and
    * executes a `cb` callback when finished. The callback should expect three
@@ -840,7 +3910,18 @@ void(0); // tells uglfy to not keep docs below
    *  + constraint name if there was a failure of no value was returned
    *
    * The constraint name is the name of the sanidator that was run last in case
-   * there is no value returned from it, or it threw an error.
+   * there is no value returned from it, or it threw an error. If `collectAll`
+   * option is used, an array of names of all failed constraints is passed
+   * instead.
+   *
+   * In case of failure, the fourth argument is the error message (or array of
+   * messages, matching the constraint names).
+   *
+   * The `options` object is the same as for `sanidate.check`, and it's
+   * available to constraints as `this.options`.
+   *
+   * Constraints are compiled (see `sanidate.compile`) on each call, unless
+   * they were already compiled.
    *
    * This method, although exposed, is a private method, and you should not
    * rely on the stability of its API.
@@ -849,49 +3930,77 @@ void(0); // tells uglfy to not keep docs below
    * @param {String} value Value to test against constraints
    * @param {Array} constraints Array of constraints definitions
    * @param {Object} data Original data
+   * @param {Object} options Optional sanidation options
    * @param {Function} cb Callback function
    * @private
    */
-  sanidate.checkParam = function(paramName, value, constraints, data, cb) {
+  sanidate.checkParam = function(paramName, value, constraints, data, options,
+                                 cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    options = normalizeOptions(options);
+
     var paramObject = {
       name: paramName,
       originalValue: value,
-      originalData: data
+      originalData: data,
+      options: options
     };
+    var failures = [];
+    var messages = [];
 
-    function runValidators(funcs, val, final) {
-      if (!funcs.length) { return final(null, val); }
+    function fail(constraint, constraintName, info, final) {
+      var nested = isSubSchema(constraintName);
+      // Constraints that run other constraints pass their messages along
+      var message = info && info.hasOwnProperty('message') ? info.message :
+        formatMessage(paramObject, constraint, constraintName, info);
 
-      funcs[0](val, function(err, val, constraintName, interrupt) {
-        if (err) { return final(err, null, constraintName); }
-        if (constraintName === null) { return final(null, val); }
-        if (val === null) { return final(null, null, constraintName); }
-        runValidators(funcs.slice(1), val, final);
-      });
+      if (!options.collectAll || (nested && !failures.length)) {
+        return final(null, null, constraintName, message);
+      }
+      if (nested) {
+        constraintName = constraint.name;
+        message = formatMessage(paramObject, constraint, constraintName);
+      }
+      final(null, null, failures.concat(constraintName), 
+            messages.concat(message));
     }
 
-    if (typeof constraints === 'string') {
-      constraints = [constraints];
+    function finish(val, final, interrupted) {
+      if (failures.length) { return final(null, null, failures, messages); }
+      // Let the caller know the chain was interrupted (see 'when')
+      final(null, val, interrupted ? null : undefined);
     }
 
-    constraints = constraints.map(function(constraint) {
-      var cFunc;
-      var cParams;
-
-      if (typeof constraint === 'string') {
-        cFunc = sanidate.funcs[constraint];
-        cParams = [];
-      } else {
-        cFunc = sanidate.funcs[constraint[0]];
-        cParams = constraint.slice(1);
-      }
+    function runValidators(funcs, val, final) {
+      if (!funcs.length) { return finish(val, final); }
 
-      if (typeof cFunc !== 'function') {
-        throw new Error('Constraint ' + constraint + ' is not a function ' + 
-                        'for param ' + parameterName);
-      }
+      funcs[0].func(val, function(err, newVal, constraintName, info) {
+        if (err) { return final(err, null, constraintName); }
+        if (constraintName === null) { return finish(newVal, final, true); }
+        if (newVal === null) {
+          if (!options.collectAll || 
+              sanidate.collectable.indexOf(funcs[0].name) < 0 ||
+              isSubSchema(constraintName)) {
+            return fail(funcs[0], constraintName, info, final);
+          }
+          failures.push(constraintName);
+          messages.push(formatMessage(paramObject, funcs[0], constraintName, 
+                                      info));
+          newVal = val;
+        }
+        runValidators(funcs.slice(1), newVal, final);
+      });
+    }
 
-      return cFunc.apply(paramObject, cParams);
+    constraints = compileChain(constraints, paramName).map(function(c) {
+      return {
+        name: c.name,
+        args: c.args,
+        func: c.setup.apply(paramObject, c.args)
+      };
     });
 
     runValidators(constraints, value, cb);
@@ -929,122 +4038,1002 @@ void(0); // tells uglfy to not keep docs below
     },
     derive: function(c, mod) {
       c[2] = mod[c[2]]; 
+    },
+    each: function(c, mod) {
+      if (isSubSchema(c[1])) {
+        sanidate.prepareSchema(c[1], mod);
+      } else {
+        prepareConstraints(c[1], mod);
+      }
+    },
+    when: function(c, mod) {
+      c[1] = prepareCondition(c[1], mod);
+      prepareConstraints(c[2], mod);
+      prepareConstraints(c[3], mod);
+    }
+  };
+
+  function prepareCondition(condition, module) {
+    if (typeof condition === 'string') { return module[condition]; }
+    if (Array.isArray(condition)) {
+      return condition.map(function(c) {
+        return prepareCondition(c, module);
+      });
+    }
+    if (isSubSchema(condition) && typeof condition.test === 'string') {
+      condition.test = module[condition.test];
+    }
+    return condition;
+  }
+
+  function prepareConstraints(constraints, module) {
+    if (!Array.isArray(constraints)) { return; }
+    constraints.forEach(function(constraint) {
+      if (Array.isArray(constraint) && 
+          sanidate.preparationRecipes.hasOwnProperty(constraint[0])) {
+        sanidate.preparationRecipes[constraint[0]](constraint, module);
+      }
+    });
+  }
+
+  /**
+   * ## sanidate.prepareSchema(schema, module)
+   *
+   * Takes a schema as string or object, and replaces any string function
+   * references by matching methods from `module` object.
+   *
+   * This method is meant to be used in scenarios where schema is stored as
+   * JSON (and passed either parsed or unparsed), and therefore function
+   * and object references could not be made part of the schema.
+   *
+   * In such cases, any custom functions and objects have to be made available
+   * as a separate module or object whose properties (methods) represent the
+   * missing functions or model objects. Instead of using function references,
+   * we can use strings representing property names, and this method replaces
+   * them with actual function references or model objects.
+   *
+   * This prepares the schema for actual usage with `schema.check` method.
+   *
+   * @param {String/Object} schema Schema to be prepared
+   * @param {Object} module Module with actual functions or model objects
+   * @return {Object} Parsed schema
+   */
+  sanidate.prepareSchema = function(schema, module) {
+    if (typeof schema === 'string') { schema = JSON.parse(schema); }
+    Object.keys(schema).forEach(function(param) {
+      if (param.charAt(0) === '$') { return; }
+      if (isSubSchema(schema[param])) {
+        sanidate.prepareSchema(schema[param], module);
+      } else {
+        prepareConstraints(schema[param], module);
+      }
+    });
+    return schema;
+  };
+
+  /**
+   * ## sanidate.SchemaError(message, path)
+   *
+   * Error thrown when a schema is not valid (e.g., it uses an unknown
+   * constraint, or a constraint is given wrong arguments). The `path`
+   * property contains the name of the parameter whose constraints are not
+   * valid.
+   *
+   * @param {String} message Error message
+   * @param {String} path Parameter name
+   */
+  function SchemaError(message, path) {
+    this.name = 'SchemaError';
+    this.message = message;
+    this.path = path;
+    if (Error.captureStackTrace) { Error.captureStackTrace(this, SchemaError); }
+  }
+  SchemaError.prototype = Object.create(Error.prototype);
+  SchemaError.prototype.constructor = SchemaError;
+  sanidate.SchemaError = SchemaError;
+
+  function parseSpec(spec) {
+    var parts = spec.split(':');
+    var type = parts[1] || 'any?';
+    var optional = type.slice(-1) === '?';
+    return {
+      name: parts[0],
+      types: (optional ? type.slice(0, -1) : type).split('|'),
+      optional: optional
+    };
+  }
+
+  function isCondition(c) {
+    if (typeof c === 'function') { return true; }
+    if (Array.isArray(c)) { return c.every(isCondition); }
+    if (!isSubSchema(c) || typeof c.field !== 'string') { return false; }
+    if (c.hasOwnProperty('test')) { return typeof c.test === 'function'; }
+    return ['is', 'in', 'present'].some(function(key) {
+      return c.hasOwnProperty(key);
+    });
+  }
+
+  function checkType(v, type) {
+    switch (type) {
+      case 'any': return true;
+      case 'array': return Array.isArray(v);
+      case 'regexp': return v instanceof RegExp;
+      case 'object': return v !== null && typeof v === 'object';
+      case 'schema': return isSubSchema(v) || v instanceof Validator;
+      case 'constraints': return typeof v === 'string' || Array.isArray(v);
+      case 'condition': return isCondition(v);
+      default: return typeof v === type;
+    }
+  }
+
+  // Tables of countries supported by constraints with `country` argument
+  var countryTables = {
+    phone: function() { return sanidate.phoneMeta; },
+    postalCode: function() { return sanidate.postalCodes; }
+  };
+
+  function checkCountries(name, countries, path) {
+    var table = countryTables[name]();
+    toArray(countries).forEach(function(country) {
+      if (typeof country !== 'string' ||
+          !table.hasOwnProperty(countryCode(country))) {
+        throw new SchemaError('Unknown country \'' + country + '\' for ' +
+                              'constraint \'' + name + '\' of param \'' +
+                              path + '\'', path);
+      }
+    });
+  }
+
+  function compileArgs(name, args, path) {
+    var signature = sanidate.signatures[name];
+    if (!signature) { return args; }
+
+    if (args.length > signature.length) {
+      throw new SchemaError('Too many arguments for constraint \'' + name + 
+                            '\' of param \'' + path + '\'', path);
+    }
+
+    return signature.map(function(s, i) {
+      var spec = parseSpec(s);
+      var arg = args[i];
+      var type;
+
+      if (arg == null) {
+        if (spec.optional) { return arg; }
+        throw new SchemaError('Missing argument \'' + spec.name + 
+                              '\' for constraint \'' + name + 
+                              '\' of param \'' + path + '\'', path);
+      }
+
+      spec.types.some(function(t) {
+        if (checkType(arg, t)) { type = t; }
+        return type;
+      });
+
+      if (!type) {
+        throw new SchemaError('Argument \'' + spec.name + '\' for ' + 
+                              'constraint \'' + name + '\' of param \'' + 
+                              path + '\' must be ' + 
+                              spec.types.join(' or '), path);
+      }
+
+      if (countryTables[name] && spec.name === 'country' &&
+          typeof arg !== 'boolean') {
+        checkCountries(name, arg, path);
+      }
+      if (type === 'constraints') { return compileChain(arg, path); }
+      if (type === 'schema' && !(arg instanceof Validator)) {
+        return new Validator(arg, path + '.');
+      }
+      return arg;
+    });
+  }
+
+  function compileChain(constraints, path) {
+    if (constraints && constraints.compiled) { return constraints; }
+    if (typeof constraints === 'string') { constraints = [constraints]; }
+
+    if (!Array.isArray(constraints)) {
+      throw new SchemaError('Constraints of param \'' + path + '\' must be ' +
+                            'a string or an array', path);
+    }
+
+    var chain = constraints.map(function(constraint) {
+      var name = constraint;
+      var args = [];
+
+      if (Array.isArray(constraint)) {
+        name = constraint[0];
+        args = constraint.slice(1);
+      }
+
+      if (typeof name !== 'string' || 
+          !sanidate.funcs.hasOwnProperty(name) ||
+          typeof sanidate.funcs[name] !== 'function') {
+        throw new SchemaError('Unknown constraint \'' + name + '\' for ' + 
+                              'param \'' + path + '\'', path);
+      }
+
+      return {
+        name: name,
+        setup: sanidate.funcs[name],
+        args: compileArgs(name, args, path)
+      };
+    });
+
+    chain.compiled = true;
+    return chain;
+  }
+
+  function Validator(schema, prefix) {
+    var validators = schema.$validators || {};
+    prefix = prefix || '';
+
+    Object.keys(validators).forEach(function(name) {
+      var v = validators[name];
+      if (typeof v !== 'function' && 
+          !(Array.isArray(v) && typeof v[1] === 'function')) {
+        throw new SchemaError('Validator \'' + name + '\' must be a ' + 
+                              'function or an array', prefix + '$validators');
+      }
+    });
+
+    this.schema = schema;
+    this.params = flattenSchema(schema).map(function(param) {
+      return {
+        path: param.path,
+        constraints: compileChain(param.constraints, prefix + param.path)
+      };
+    });
+  }
+
+  Validator.prototype.check = function(data, options, cb) {
+    return sanidate.check(data, this, options, cb);
+  };
+
+  /**
+   * ## sanidate.compile(schema)
+   *
+   * Compiles the schema, and returns a validator object which can be used to
+   * sanidate data many times without having to process the schema again. The
+   * validator object has a `check(data, [options], [cb])` method, which works
+   * exactly the same as `sanidate.check` (compiled validator can also be
+   * passed to `sanidate.check` instead of a schema).
+   *
+   * During compilation, all constraint names are looked up in
+   * `sanidate.funcs`, and constraint arguments are checked against
+   * `sanidate.signatures`. If there are any problems with the schema, a
+   * `sanidate.SchemaError` is thrown. Since `sanidate.check` compiles the
+   * schema on each call, and `sanidate.express` compiles it when setting up
+   * the middleware, it's a good idea to compile the schemas up front, so
+   * that any typos are caught as soon as your application starts:
+   *
+   *     var userValidator = sanidate.compile({
+   *       name: 'required',
+   *       email: 'email',
+   *       age: 'integer'
+   *     });
+   *
+   *     userValidator.check(data, function(err, data) {
+   *       // ...
+   *     });
+   *
+   * Note that constraint functions are looked up during compilation, so
+   * changes to `sanidate.funcs` made after compilation will not affect the
+   * compiled validator.
+   *
+   * @param {Object} schema Sanidation schema
+   * @return {Object} Compiled validator
+   */
+  sanidate.compile = function(schema) {
+    return schema instanceof Validator ? schema : new Validator(schema);
+  };
+
+  /**
+   * ## sanidate.jsonSchemaRecipes
+   *
+   * Object containing recipes used in `sanidate.toJSONSchema`. Exposed to
+   * allow customization. Object maps constraint names to functions which take
+   * three arguments:
+   *   + constraint (array whose first member is the constraint name, followed
+   *     by parameters)
+   *   + JSON Schema object describing the parameter
+   *   + object with `required` key, which is `true` by default, and which can
+   *     be set to `false` if constraint makes the parameter optional
+   *
+   * Function modifies the JSON Schema object, and does not need to explicitly
+   * return a value. Constraints that don't have recipes are listed in the
+   * `x-sanidate-unmapped` property of the JSON Schema object. Recipes that
+   * can only partially map the constraint can return `false` to have the
+   * constraint listed there as well.
+   */
+  sanidate.jsonSchemaRecipes = {
+    required: function(c, prop) {},
+    optional: function(c, prop, param) {
+      param.required = false;
+      if (c[1] != null && typeof c[1] !== 'function') { prop['default'] = c[1]; }
+    },
+    'enum': function(c, prop) {
+      prop['enum'] = c[1];
+    },
+    optionalIfPresent: function(c, prop, param) {
+      param.required = false;
+      return false;
+    },
+    match: function(c, prop) {
+      prop.type = prop.type || 'string';
+      prop.pattern = c[1].source;
+      // Regexp flags cannot be expressed in JSON Schema
+      if (c[1].ignoreCase || c[1].multiline) { return false; }
+    },
+    numeric: function(c, prop) {
+      prop.type = 'number';
+    },
+    integer: function(c, prop) {
+      prop.type = 'integer';
+    },
+    min: function(c, prop) {
+      prop.type = prop.type || (c[2] ? 'integer' : 'number');
+      prop[c[3] ? 'minimum' : 'exclusiveMinimum'] = c[1];
+    },
+    max: function(c, prop) {
+      prop.type = prop.type || (c[2] ? 'integer' : 'number');
+      prop[c[3] ? 'maximum' : 'exclusiveMaximum'] = c[1];
+    },
+    between: function(c, prop) {
+      var options = c[3] || {};
+      prop.type = options.integer ? 'integer' : 'number';
+      prop[options.exclusive || options.exclusiveMin ? 
+           'exclusiveMinimum' : 'minimum'] = c[1];
+      prop[options.exclusive || options.exclusiveMax ? 
+           'exclusiveMaximum' : 'maximum'] = c[2];
+    },
+    decimal: function(c, prop) {
+      prop.type = 'number';
+      // Rounding accepts any number of decimal places
+      if (!c[2]) { prop.multipleOf = Math.pow(10, -c[1]); }
+    },
+    date: function(c, prop) {
+      var formats = isSubSchema(c[1]) && c[1].format != null ? 
+        [].concat(c[1].format) : [];
+      prop.type = 'string';
+      // Without a format, anything `Date` can parse is accepted
+      if (!formats.length) { return; }
+      if (formats.length > 1) { return false; }
+      if (formats[0] === 'YYYY-MM-DD') {
+        prop.format = 'date';
+      } else if (formats[0] === 'iso') {
+        // 'iso' also accepts dates, and times without seconds or offset, so
+        // it's looser than the 'date-time' format
+        prop.pattern = isoDateRe.source;
+      } else {
+        prop.pattern = compileDateFormat(formats[0]).re.source;
+      }
+    },
+    email: function(c, prop) {
+      prop.type = 'string';
+      prop.format = 'email';
+    },
+    zip: function(c, prop) {
+      prop.type = 'string';
+      prop.pattern = '^\\d{5}$';
+    },
+    phone: function(c, prop) {
+      prop.type = 'string';
+      // Patterns for other countries apply to normalized numbers only
+      if (c[1] != null && typeof c[1] !== 'boolean') { return false; }
+      prop.pattern = phoneRe.source;
+    },
+    postalCode: function(c, prop) {
+      var countries = [].concat(c[1] || 'US');
+      var entry = sanidate.postalCodes[countryCode(countries[0])];
+      var source = entry && entry.pattern.source;
+      prop.type = 'string';
+      // Values are upper-cased before testing, so patterns with letters
+      // would reject values which are accepted
+      if (countries.length > 1 || !entry ||
+          /[A-Z]/.test(source.replace(/\\./g, ''))) {
+        return false;
+      }
+      // Values are also trimmed
+      prop.pattern = '^\\s*(?:' + source.replace(/^\^|\$$/g, '') + ')\\s*$';
+    },
+    url: function(c, prop) {
+      prop.type = 'string';
+      prop.format = 'uri';
+    },
+    ipv4: function(c, prop) {
+      prop.type = 'string';
+      prop.format = 'ipv4';
+    },
+    ipv6: function(c, prop) {
+      prop.type = 'string';
+      prop.format = 'ipv6';
+    },
+    uuid: function(c, prop) {
+      prop.type = 'string';
+      prop.format = 'uuid';
+    },
+    hostname: function(c, prop) {
+      prop.type = 'string';
+      prop.format = 'hostname';
+    },
+    isTrue: function(c, prop, param) {
+      param.required = false;
+    },
+    isNotFalse: function(c, prop, param) {
+      param.required = false;
+    },
+    strictBoolean: function(c, prop, param) {
+      var data = localeData(c[3]);
+      prop.type = ['boolean', 'string'];
+      prop['enum'] = [true, false].concat(data.truthy, data.falsy);
+      if (c[1]) { param.required = false; }
+      if (c[2] != null && typeof c[2] !== 'function') { prop['default'] = c[2]; }
+    },
+    each: function(c, prop) {
+      prop.type = 'array';
+      prop.items = c[1] instanceof Validator ? 
+        validatorToJSONSchema(c[1]) : chainToJSONSchema(c[1]).schema;
+    },
+    minItems: function(c, prop) {
+      prop.type = 'array';
+      prop.minItems = c[1];
+    },
+    maxItems: function(c, prop) {
+      prop.type = 'array';
+      prop.maxItems = c[1];
+    },
+    minLength: function(c, prop) {
+      prop[prop.type === 'array' ? 'minItems' : 'minLength'] = c[1];
+    },
+    maxLength: function(c, prop) {
+      prop[prop.type === 'array' ? 'maxItems' : 'maxLength'] = c[1];
+    },
+    length: function(c, prop) {
+      var isArray = prop.type === 'array';
+      prop[isArray ? 'minItems' : 'minLength'] = c[1];
+      if (c[2] != null) { prop[isArray ? 'maxItems' : 'maxLength'] = c[2]; }
+    },
+    unique: function(c, prop) {
+      prop.type = 'array';
+      // Uniqueness by key cannot be expressed in JSON Schema
+      if (c[1] != null) { return false; }
+      prop.uniqueItems = true;
+    },
+    when: function(c, prop, param) {
+      param.required = false;
+      return false;
+    },
+    // Sanitizers don't restrict the input, so they map to nothing
+    trim: function(c, prop) {},
+    lowercase: function(c, prop) {},
+    uppercase: function(c, prop) {},
+    collapseWhitespace: function(c, prop) {},
+    truncate: function(c, prop) {},
+    escapeHTML: function(c, prop) {},
+    stripTags: function(c, prop) {},
+    normalizeUnicode: function(c, prop) {},
+    stripControlChars: function(c, prop) {}
+  };
+
+  function chainToJSONSchema(chain) {
+    var prop = {};
+    var param = {required: true};
+    var unmapped = [];
+
+    chain.forEach(function(c) {
+      var recipe = sanidate.jsonSchemaRecipes[c.name];
+      if (sanidate.jsonSchemaRecipes.hasOwnProperty(c.name) && 
+          recipe([c.name].concat(c.args), prop, param) !== false) {
+        return;
+      }
+      unmapped.push(c.name);
+    });
+
+    if (unmapped.length) { prop['x-sanidate-unmapped'] = unmapped; }
+    return {schema: prop, required: param.required};
+  }
+
+  function validatorToJSONSchema(validator) {
+    var root = {type: 'object', properties: {}};
+    var labels = validator.schema.$labels || {};
+    var validators = Object.keys(validator.schema.$validators || {});
+
+    validator.params.forEach(function(param) {
+      var result = chainToJSONSchema(param.constraints);
+      var keys = param.path.split('.');
+      var obj = root;
+
+      if (labels[param.path]) { result.schema.title = labels[param.path]; }
+
+      keys.forEach(function(key, i) {
+        if (i < keys.length - 1) {
+          obj.properties[key] = obj.properties[key] || 
+            {type: 'object', properties: {}};
+        } else {
+          obj.properties[key] = result.schema;
+        }
+        if (result.required) {
+          obj.required = obj.required || [];
+          if (obj.required.indexOf(key) < 0) { obj.required.push(key); }
+        }
+        obj = obj.properties[key];
+      });
+    });
+
+    if (validators.length) {
+      root['x-sanidate-unmapped'] = validators.map(function(name) {
+        return '$validators.' + name;
+      });
+    }
+    return root;
+  }
+
+  /**
+   * ## sanidate.toJSONSchema(schema)
+   *
+   * Converts a sanidation schema (or compiled validator) to a [JSON
+   * Schema](http://json-schema.org/) (draft 7) document describing the
+   * expected input. This is useful for generating API documentation, or
+   * OpenAPI specifications, from the same schemas that are used for
+   * sanidation.
+   *
+   * Built-in constraints are mapped to JSON Schema keywords where possible
+   * (e.g., 'integer' to `type`, 'min' to `minimum` or `exclusiveMinimum`
+   * depending on the equality flag, 'match' to `pattern`, 'email' to
+   * `format`, 'date' to `format` or `pattern` if it has a format, and
+   * 'optional' to `default` and absence from `required`). Labels
+   * from `$labels` are used as titles. Length constraints ('minLength',
+   * 'maxLength', and 'length') are mapped to `minLength` and `maxLength`, or
+   * to `minItems` and `maxItems` if preceding constraints (like 'each') make
+   * the value an array.
+   *
+   * Constraints that cannot be expressed in JSON Schema (like 'custom',
+   * 'derive', or 'isDocument') are listed in the `x-sanidate-unmapped`
+   * property of the parameter they are used on. Parameters with conditional
+   * constraints ('optionalIfPresent' and 'when') are not listed as required,
+   * and the constraints are listed as unmapped, as is 'postalCode' for
+   * countries with letters in postal codes (values are upper-cased before
+   * testing, which a pattern cannot express). Names of `$validators` are
+   * listed the same way on the root object (e.g., `$validators.dateOrder`).
+   * Mappings can be customized using `sanidate.jsonSchemaRecipes`.
+   *
+   *     sanidate.toJSONSchema({
+   *       name: 'required',
+   *       age: [['optional', 18], ['min', 18, true, true]]
+   *     });
+   *
+   *     // Returns:
+   *     // {
+   *     //   $schema: 'http://json-schema.org/draft-07/schema#',
+   *     //   type: 'object',
+   *     //   properties: {
+   *     //     name: {},
+   *     //     age: {type: 'integer', minimum: 18, default: 18}
+   *     //   },
+   *     //   required: ['name']
+   *     // }
+   *
+   * @param {Object} schema Sanidation schema or compiled validator
+   * @return {Object} JSON Schema document
+   */
+  sanidate.toJSONSchema = function(schema) {
+    return extend({
+      $schema: 'http://json-schema.org/draft-07/schema#'
+    }, validatorToJSONSchema(sanidate.compile(schema)));
+  };
+
+  // JSON Schema keywords which don't affect validation
+  var jsonSchemaAnnotations = ['title', 'description', 'default', 'examples',
+    '$schema', '$id', 'id', '$comment', 'readOnly', 'writeOnly', 'deprecated'];
+
+  var jsonSchemaFormats = {
+    'email': 'email',
+    'date-time': ['date', {format: 'iso'}],
+    'date': ['date', {format: 'YYYY-MM-DD'}],
+    'uri': ['match', /^[a-z][a-z\d+\-.]*:[^\s]+$/i],
+    'ipv4': 'ipv4',
+    'ipv6': 'ipv6',
+    'uuid': 'uuid',
+    'hostname': 'hostname'
+  };
+
+  function jsonPointer(pointer, key) {
+    return pointer + '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  function isObjectSchema(doc) {
+    return doc.type === 'object' || (doc.type == null && doc.properties);
+  }
+
+  function fromJSONSchemaObject(doc, pointer, unmapped, labels, prefix) {
+    var schema = {};
+    var required = doc.required || [];
+    var properties = doc.properties || {};
+
+    Object.keys(doc).forEach(function(keyword) {
+      if (['type', 'properties', 'required'].indexOf(keyword) < 0 &&
+          jsonSchemaAnnotations.indexOf(keyword) < 0) {
+        unmapped.push(jsonPointer(pointer, keyword));
+      }
+    });
+
+    Object.keys(properties).forEach(function(key) {
+      var prop = properties[key];
+      var propPointer = jsonPointer(jsonPointer(pointer, 'properties'), key);
+      var isRequired = required.indexOf(key) > -1;
+
+      if (prop.title) { labels[prefix + key] = prop.title; }
+
+      if (isObjectSchema(prop)) {
+        // Nested schemas cannot be optional as a whole
+        if (!isRequired && (prop.required || []).length) {
+          unmapped.push(jsonPointer(pointer, 'required'));
+        }
+        schema[key] = fromJSONSchemaObject(prop, propPointer, unmapped, labels,
+                                           prefix + key + '.');
+      } else {
+        schema[key] = fromJSONSchemaProperty(prop, isRequired, propPointer, 
+                                             unmapped);
+      }
+    });
+
+    return schema;
+  }
+
+  function fromJSONSchemaProperty(doc, required, pointer, unmapped) {
+    var constraints = [];
+    var type = doc.type;
+    var isInteger = type === 'integer';
+    // Booleans which may also be sent as words (as exported by 'toJSONSchema')
+    var isBoolean = type === 'boolean' || (Array.isArray(type) && 
+      type.indexOf('boolean') > -1 && type.every(function(t) {
+        return t === 'boolean' || t === 'string';
+      }));
+    var isArray = type === 'array' || (type == null && doc.items);
+    var handled = ['type'];
+
+    function map(keyword, constraint) {
+      handled.push(keyword);
+      if (constraint) { constraints.push(constraint); }
+    }
+
+    if (!required) {
+      constraints.push(doc.hasOwnProperty('default') ? 
+                       ['optional', doc['default']] : 'optional');
+    }
+
+    // Strict mode, so that contracts don't accept (and truncate) e.g. 1.5
+    if (type === 'integer') {
+      constraints.push(['integer', true]);
+    } else if (type === 'number') {
+      constraints.push(['numeric', true]);
+    } else if (isBoolean) {
+      constraints.push('strictBoolean');
+    } else if ((type == null || type === 'string') && required && !isArray) {
+      constraints.push('required');
+    } else if (type != null && type !== 'string' && !isArray) {
+      unmapped.push(jsonPointer(pointer, 'type'));
+    }
+
+    if (doc.hasOwnProperty('enum')) { map('enum', ['enum', doc['enum']]); }
+    if (doc.hasOwnProperty('const')) { map('const', ['enum', [doc['const']]]); }
+
+    if (doc.hasOwnProperty('minimum')) {
+      map('minimum', ['min', doc.minimum, isInteger, 
+                      doc.exclusiveMinimum !== true]);
+    }
+    if (typeof doc.exclusiveMinimum === 'number') {
+      map('exclusiveMinimum', ['min', doc.exclusiveMinimum, isInteger, false]);
+    } else if (typeof doc.exclusiveMinimum === 'boolean') {
+      map('exclusiveMinimum');
     }
-  };
+    if (doc.hasOwnProperty('maximum')) {
+      map('maximum', ['max', doc.maximum, isInteger, 
+                      doc.exclusiveMaximum !== true]);
+    }
+    if (typeof doc.exclusiveMaximum === 'number') {
+      map('exclusiveMaximum', ['max', doc.exclusiveMaximum, isInteger, false]);
+    } else if (typeof doc.exclusiveMaximum === 'boolean') {
+      map('exclusiveMaximum');
+    }
+
+    if (doc.hasOwnProperty('minLength')) {
+      map('minLength', ['minLength', doc.minLength]);
+    }
+    if (doc.hasOwnProperty('maxLength')) {
+      map('maxLength', ['maxLength', doc.maxLength]);
+    }
+    if (doc.hasOwnProperty('pattern')) {
+      map('pattern', ['match', new RegExp(doc.pattern)]);
+    }
+    if (jsonSchemaFormats.hasOwnProperty(doc.format)) {
+      map('format', jsonSchemaFormats[doc.format]);
+    }
+
+    if (isArray) {
+      if (isSubSchema(doc.items)) {
+        var itemsPointer = jsonPointer(pointer, 'items');
+        var labels = {};
+        var items;
+        if (isObjectSchema(doc.items)) {
+          items = fromJSONSchemaObject(doc.items, itemsPointer, unmapped, 
+                                       labels, '');
+          if (Object.keys(labels).length) { items.$labels = labels; }
+        } else {
+          items = fromJSONSchemaProperty(doc.items, true, itemsPointer, 
+                                         unmapped);
+        }
+        map('items', ['each', items]);
+      } else if (!doc.hasOwnProperty('minItems')) {
+        // Make sure the value is converted to an array
+        constraints.push(['minItems', 0]);
+      }
+      if (doc.hasOwnProperty('minItems')) {
+        map('minItems', ['minItems', doc.minItems]);
+      }
+      if (doc.hasOwnProperty('maxItems')) {
+        map('maxItems', ['maxItems', doc.maxItems]);
+      }
+      if (doc.uniqueItems) { map('uniqueItems', 'unique'); }
+    }
+
+    Object.keys(doc).forEach(function(keyword) {
+      if (handled.indexOf(keyword) < 0 &&
+          jsonSchemaAnnotations.indexOf(keyword) < 0) {
+        unmapped.push(jsonPointer(pointer, keyword));
+      }
+    });
+
+    return constraints;
+  }
 
   /**
-   * ## sanidate.prepareSchema(schema, module)
+   * ## sanidate.fromJSONSchema(doc, [unmapped])
    *
-   * Takes a schema as string or object, and replaces any string function
-   * references by matching methods from `module` object.
+   * Converts a [JSON Schema](http://json-schema.org/) document (as object or
+   * JSON string) to a sanidation schema that can be used with
+   * `sanidate.check` and other functions. The document must describe an
+   * object with `properties`.
    *
-   * This method is meant to be used in scenarios where schema is stored as
-   * JSON (and passed either parsed or unparsed), and therefore function
-   * and object references could not be made part of the schema.
+   * The following keywords are mapped to built-in constraints:
    *
-   * In such cases, any custom functions and objects have to be made available
-   * as a separate module or object whose properties (methods) represent the
-   * missing functions or model objects. Instead of using function references,
-   * we can use strings representing property names, and this method replaces
-   * them with actual function references or model objects.
+   *  + `type`: 'integer', 'numeric' (both in strict mode), and
+   *    'strictBoolean' for integers, numbers, and booleans; objects become
+   *    nested schemas, and arrays use 'each'
+   *  + `required`: parameters which are not required get the 'optional'
+   *    constraint (with `default` value, if any), and required strings get
+   *    the 'required' constraint
+   *  + `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`: 'min'
+   *    and 'max' (both numeric and boolean forms of exclusive bounds are
+   *    supported)
+   *  + `minLength`, `maxLength`: 'minLength' and 'maxLength'
+   *  + `pattern`: 'match'
+   *  + `enum`, `const`: 'enum'
+   *  + `format`: 'email' for emails, 'date' (with 'YYYY-MM-DD' or 'iso'
+   *    format) for dates and date-times, 'ipv4', 'ipv6', 'uuid', and
+   *    'hostname' for formats of the same name, and 'match' for URIs
+   *  + `items`, `minItems`, `maxItems`, `uniqueItems`: 'each', 'minItems',
+   *    'maxItems', and 'unique'
+   *  + `title`: parameter label in `$labels`
    *
-   * This prepares the schema for actual usage with `schema.check` method.
+   * Other annotation keywords (like `description`) are ignored. Any other
+   * keyword cannot be mapped. Such keywords are reported as JSON Pointers
+   * (e.g., '/properties/tags/oneOf'), by pushing them onto the `unmapped`
+   * array if you pass one. If you don't pass the array, and there are any
+   * unmapped keywords, `sanidate.SchemaError` is thrown instead.
    *
-   * @param {String/Object} schema Schema to be prepared
-   * @param {Object} module Module with actual functions or model objects
-   * @return {Object} Parsed schema
+   *     var unmapped = [];
+   *     var schema = sanidate.fromJSONSchema(doc, unmapped);
+   *     if (unmapped.length) {
+   *       console.log('Partner contract is not fully enforced:', unmapped);
+   *     }
+   *
+   * Note that nested objects cannot be optional as a whole. If a nested
+   * object which is not required has required properties, the `required`
+   * keyword of its parent is reported as unmapped.
+   *
+   * @param {Object/String} doc JSON Schema document
+   * @param {Array} unmapped Optional array for unmapped keywords
+   * @return {Object} Sanidation schema
    */
-  sanidate.prepareSchema = function(schema, module) {
-    var recipeKeys = Object.keys(sanidate.preparationRecipes);
-    if (typeof schema === 'string') { schema = JSON.parse(schema); }
-    Object.keys(schema).forEach(function(param) {
-      if (Array.isArray(schema[param])) {
-        schema[param].forEach(function(constraint) {
-          if (Array.isArray(constraint) && 
-              recipeKeys.indexOf(constraint[0]) > -1) {
-            sanidate.preparationRecipes[constraint[0]](constraint, module);
-          }
-        });
-      }
-    });
+  sanidate.fromJSONSchema = function(doc, unmapped) {
+    var found = [];
+    var labels = {};
+    var schema;
+
+    if (typeof doc === 'string') { doc = JSON.parse(doc); }
+    if (!isSubSchema(doc) || !isObjectSchema(doc)) {
+      throw new SchemaError('JSON Schema must describe an object', '');
+    }
+
+    schema = fromJSONSchemaObject(doc, '', found, labels, '');
+    if (Object.keys(labels).length) { schema.$labels = labels; }
+
+    if (Array.isArray(unmapped)) {
+      found.forEach(function(pointer) { unmapped.push(pointer); });
+    } else if (found.length) {
+      throw new SchemaError('Cannot map JSON Schema keywords: ' + 
+                            found.join(', '), found[0]);
+    }
     return schema;
   };
 
   /**
-   * ## sanidate.check(data, schema, [excludeEmpty], cb)
+   * ## sanidate.check(data, schema, [options], [cb])
    *
    * Sanidates the data from `data` object using `schema` validation schema,
    * and calls the `cb` callback.
    *
+   * The `options` object may have the following keys:
+   *
+   *  + `excludeEmpty`: Exclude keys for empty values from sanidated data
+   *  + `collectAll`: Do not stop at first failed constraint, but report all
+   *    failed constraints for each parameter as an array of names (see
+   *    'Collecting all failures' section)
+   *  + `locale`: Locale of error messages (see 'Error messages' section)
+   *  + `numberLocale`: Locale of number and boolean formats (see
+   *    `sanidate.locales`); there is no default, so numbers use '.' as
+   *    decimal separator, and booleans use English words
+   *  + `messages`: Message overrides (see 'Error messages' section)
+   *  + `labels`: Parameter labels (see 'Error messages' section)
+   *  + `strictNumbers`: Use strict mode for converting numbers in 'numeric',
+   *    'integer', 'min', and 'max' constraints (see
+   *    `sanidate.funcs.numeric`)
+   *  + `loader`: Loader for record lookups (see `sanidate.loader`); a new
+   *    loader is created for each check by default, and `false` disables
+   *    batching and deduplication of lookups
+   *
+   * For backwards compatibility, `options` may also be a boolean, in which
+   * case it is used as the `excludeEmpty` option.
+   *
+   * If `cb` is omitted, returns a promise which is resolved with an object
+   * containing `errors` and `data` keys (same as the arguments that would be
+   * passed to the callback).
+   *
+   * Schema may be nested (see 'Nested data' section), in which case cleaned
+   * data will have the same shape as the schema, and errors will be keyed by
+   * full dotted paths of the failed parameters.
+   *
+   * If schema is not valid, `sanidate.SchemaError` is thrown (or the promise
+   * is rejected with it).
+   *
    * @param {Object} data Key-value pair of request parameters to validate
-   * @param {Object} schema Sanidation schema
-   * @param {Boolean} excludeEmpty Optional flag to exclude keys for empty
-   * values
-   * @param {Function} cb Callback function
+   * @param {Object} schema Sanidation schema or compiled validator
+   * @param {Object} options Optional sanidation options
+   * @param {Function} cb Optional callback function
+   * @return {Promise} Promise if `cb` is omitted
    */
-  sanidate.check = function(data, schema, excludeEmpty, cb) {
-    if (typeof excludeEmpty === 'function') {
-      cb = excludeEmpty;
-      excludeEmpty = false;
+  sanidate.check = function(data, schema, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    options = normalizeOptions(options);
+    if (typeof cb !== 'function') {
+      if (!sanidate.Promise) {
+        throw new Error('Callback is required when promises are not ' +
+                        'available');
+      }
+      return new sanidate.Promise(function(resolve, reject) {
+        try {
+          sanidate.check(data, schema, options, function(err, data) {
+            if (systemError(err)) { return reject(systemError(err)); }
+            resolve({errors: err, data: data});
+          });
+        } catch (e) {
+          reject(e);
+        }
+      });
+    }
+    if (options.loader == null) {
+      options = extend(extend({}, options), {loader: sanidate.loader()});
     }
+    var validator = sanidate.compile(schema);
+    schema = validator.schema;
+    options = schemaOptions(schema, options);
     var cleanedData = {};
     var errors = {
       count: 0,
-      errors: {}
+      errors: {},
+      messages: {}
     };
-    var completed = Object.keys(schema).length;
-    Object.keys(schema).forEach(function(paramName) {
+    var params = validator.params;
+    var completed = params.length;
+    if (!completed) {
+      return runSchemaValidators(schema.$validators, data, cleanedData, errors,
+                                 options, function() {
+        cb(errors.count || errors.system ? errors : null, cleanedData);
+      });
+    }
+    params.forEach(function(param) {
+      var paramName = param.path;
       sanidate.checkParam(
-        paramName, data[paramName], schema[paramName], data,
-        function(err, val, constraintName) {
-          if (err || val === null) {
-            errors.count += 1;
-            errors.errors[paramName] = constraintName;
+        paramName, getPath(data, paramName), param.constraints, data, options,
+        function(err, val, constraintName, message) {
+          if (err) {
+            errors.system = errors.system || {};
+            errors.system[paramName] = err;
+          } else if (val === null) {
+            if (isSubSchema(constraintName)) {
+              prefixErrors(errors, paramName, constraintName, message);
+            } else {
+              errors.count += 1;
+              errors.errors[paramName] = constraintName;
+              errors.messages[paramName] = message;
+            }
           } else {
-            if (!excludeEmpty || (typeof val !== 'undefined' && val !== null)) {
-              cleanedData[paramName] = val;
+            if ((!options.excludeEmpty || 
+                 (typeof val !== 'undefined' && val !== null)) &&
+                (typeof val !== 'undefined' || 
+                 !missingParent(data, paramName))) {
+              setPath(cleanedData, paramName, val);
             }
           }
           completed--;
           if (!completed) {
-            if (!errors.count) { errors = null; }
-            cb(errors, cleanedData);
+            runSchemaValidators(schema.$validators, data, cleanedData, errors, 
+                                options, function() {
+              if (!errors.count && !errors.system) { errors = null; }
+              cb(errors, cleanedData);
+            });
           }
         });
     });
   };
 
   /**
-   * ## sanidate.express(schema, excludeEmpty)
+   * ## sanidate.express(schema, [options])
    *
    * Express.js middleware for automatic sanidation of data prior to request
    * handling.
    *
    * The sanidated data will be stored in `req.data`, and can be accessed
-   * normally, as you would with `req.query` or `req.post`.
+   * normally, as you would with `req.query` or `req.body`.
    *
    * Any validation errors that occur will cause the `dataErrors` property to
    * appear in `req` object, so you can check for presence of this property
    * when testing for possible errors.
    *
+   * In addition to sanidation options (see `sanidate.check`), the following
+   * options are supported:
+   *
+   *  + `source`: Name of the `req` property the data is read from ('body',
+   *    'query', 'params', or 'headers'), or an array of such names, in which
+   *    case the value is taken from the first property that has it (default:
+   *    `['params', 'body', 'query']`, which mimics the deprecated
+   *    `req.param()`); header names are matched case-insensitively
+   *  + `target`: Name of the `req` property sanidated data is stored in
+   *    (default: 'data')
+   *  + `respond`: If set, the middleware responds with a JSON object
+   *    containing `errors` and `messages` from the error object when there
+   *    are validation errors, and the handler is not called; if `true`, the
+   *    response status is 422, otherwise the value is used as status code
+   *
+   * System errors (see 'System errors' section) are passed on to `next()`,
+   * and `req.dataErrors` is not set in that case.
+   *
+   * Schema is compiled when the middleware is created, so any errors in the
+   * schema are thrown immediately (see `sanidate.compile`).
+   *
    * @param {Object} schema Sanidation schema
-   * @param {Boolean} excludeEmpty Optional flag to exclude keys for empty
+   * @param {Object} options Optional middleware and sanidation options
    */
-  sanidate.express = function(schema, excludeEmpty) {
-    excludeEmpty = typeof excludeEmpty === 'boolean' ? excludeEmpty : false;
+  sanidate.express = function(schema, options) {
+    var validator = schema && sanidate.compile(schema);
+    options = normalizeOptions(options);
     return function(req, res, next) {
       req.sanidateFuncs = sanidate.funcs;
       req.sanidate = sanidate.check;
 
-      if (schema) {
-        var data = {};
-        Object.keys(schema).forEach(function(param) {
-          data[param] = req.param(param);
-        });
-        sanidate.check(data, schema, excludeEmpty, function(err, data) {
-          req.data = data;
-          err && err.count && (req.dataErrors = err);
-          next();
+      if (validator) {
+        var data = gatherData(req, options.source || defaultSources, 
+                              validator.params);
+        sanidate.check(data, validator, options, function(err, data) {
+          handleResult(err, data, req, options, function(status, body) {
+            res.status(status).json(body);
+          }, next);
         });
       } else {
         next();
@@ -1053,30 +5042,716 @@ void(0); // tells uglfy to not keep docs below
   };
 
   /**
-   * ## sanidate.frag(schema)
+   * ## sanidate.koa(schema, [options])
+   *
+   * Koa middleware for automatic sanidation of data prior to request
+   * handling. The middleware returns a promise, so it requires
+   * `sanidate.Promise`.
+   *
+   * The sanidated data will be stored in `ctx.state.data`, and validation
+   * errors, if any, in `ctx.state.dataErrors`. System errors cause the
+   * returned promise to be rejected, so they are handled by Koa's error
+   * handling.
+   *
+   * Data is read from `ctx.params` (set by routers), `ctx.request.body`, and
+   * `ctx.query`. If no body parser has set `ctx.request.body`, JSON and
+   * URL-encoded request bodies are read and parsed by the middleware itself.
+   *
+   * Options are the same as for `sanidate.express`, with the addition of
+   * `limit`, which is the maximum size of the request body in characters
+   * (default: 1000000) when the body is read by the middleware.
+   *
+   *     router.post('/user', sanidate.koa(schema, {respond: true}), 
+   *       function(ctx) {
+   *         ctx.body = ctx.state.data;
+   *       });
+   *
+   * @param {Object} schema Sanidation schema
+   * @param {Object} options Optional middleware and sanidation options
+   */
+  sanidate.koa = function(schema, options) {
+    var validator = sanidate.compile(schema);
+    options = normalizeOptions(options);
+    return function(ctx, next) {
+      var request = ctx.request || {};
+      ctx.state = ctx.state || {};
+
+      return new sanidate.Promise(function(resolve, reject) {
+        readBody(ctx.req, request.body, options.limit || 1e6, 
+                 function(err, body) {
+          if (err) { return reject(err); }
+          if (body !== undefined) { request.body = body; }
+
+          var data = gatherData({
+            params: ctx.params,
+            body: request.body,
+            query: ctx.query || request.query,
+            headers: ctx.headers || request.headers
+          }, options.source || defaultSources, validator.params);
+
+          sanidate.check(data, validator, options, function(err, data) {
+            handleResult(err, data, ctx.state, options, function(status, 
+                                                                 body) {
+              ctx.status = status;
+              ctx.body = body;
+              resolve();
+            }, function(err) {
+              if (err) { return reject(err); }
+              resolve(next());
+            });
+          });
+        });
+      });
+    };
+  };
+
+  /**
+   * ## sanidate.fastify(schema, [options])
+   *
+   * Fastify-style `preHandler` hook for automatic sanidation of data prior to
+   * request handling. The hook has `(request, reply, done)` signature.
+   *
+   * The sanidated data will be stored in `request.data`, and validation
+   * errors, if any, in `request.dataErrors`. System errors are passed on to
+   * `done()`.
+   *
+   * Data is read from `request.params`, `request.body`, and `request.query`.
+   * If body is a string (e.g., URL-encoded body without a content type
+   * parser), it is parsed according to its content type.
+   *
+   * Options are the same as for `sanidate.express`. If `respond` option is
+   * used, the response is sent using `reply.code().send()`.
+   *
+   *     fastify.post('/user', {
+   *       preHandler: sanidate.fastify(schema, {respond: true})
+   *     }, function(request, reply) {
+   *       reply.send(request.data);
+   *     });
+   *
+   * @param {Object} schema Sanidation schema
+   * @param {Object} options Optional middleware and sanidation options
+   */
+  sanidate.fastify = function(schema, options) {
+    var validator = sanidate.compile(schema);
+    options = normalizeOptions(options);
+    return function(request, reply, done) {
+      var headers = request.headers || {};
+      var body = request.body;
+
+      try {
+        if (typeof body === 'string') {
+          body = parseBody(body, headers['content-type']);
+        }
+      } catch (e) {
+        e.status = 400;
+        return done(e);
+      }
+
+      var data = gatherData({
+        params: request.params,
+        body: body,
+        query: request.query,
+        headers: headers
+      }, options.source || defaultSources, validator.params);
+
+      sanidate.check(data, validator, options, function(err, data) {
+        handleResult(err, data, request, options, function(status, body) {
+          reply.code(status).send(body);
+        }, done);
+      });
+    };
+  };
+
+  /**
+   * ## sanidate.http(schema, [options])
+   *
+   * Middleware for the plain Node.js `http` server (and any framework using
+   * `(req, res, next)` middlewares, like Connect). 
+   *
+   * Query string is parsed from `req.url`, and JSON and URL-encoded request
+   * bodies are read and parsed, unless `req.body` has already been set by
+   * some other middleware. Parsed body is stored in `req.body`. Route
+   * parameters are read from `req.params` if your router sets them.
+   *
+   * The sanidated data will be stored in `req.data`, and validation errors,
+   * if any, in `req.dataErrors`. System errors, and errors reading the
+   * request body, are passed on to `next()`. Body errors have `status`
+   * property set to 400 (invalid body) or 413 (body too large).
+   *
+   * Options are the same as for `sanidate.koa`. Bodies are handled as
+   * follows (with `{limit: 1000}`):
+   *
+   *     // Content-Type: application/json, body '{"name": "Foo"}'
+   *     // => req.body is {name: 'Foo'}
+   *     // Content-Type: application/x-www-form-urlencoded, body 'a=1&a=2'
+   *     // => req.body is {a: ['1', '2']}
+   *     // Content-Type: application/json, empty body
+   *     // => req.body is {}
+   *     // Content-Type: application/json, body '{"name":'
+   *     // => next(err), err.status is 400
+   *     // Any content type, body of 1001 characters or more
+   *     // => next(err), err.status is 413
+   *     // Content-Type: text/plain (or none), or req.body already set
+   *     // => body is not read, and req.body is left as it is
+   *
+   * When the limit is exceeded, reading of the body stops (the request is
+   * paused), so the rest of the body is never buffered, and only the error
+   * response is sent.
+   *
+   *     var validate = sanidate.http(schema, {respond: true});
+   *
+   *     http.createServer(function(req, res) {
+   *       validate(req, res, function(err) {
+   *         if (err) {
+   *           res.statusCode = err.status || 500;
+   *           return res.end();
+   *         }
+   *         res.end(JSON.stringify(req.data));
+   *       });
+   *     });
+   *
+   * @param {Object} schema Sanidation schema
+   * @param {Object} options Optional middleware and sanidation options
+   */
+  sanidate.http = function(schema, options) {
+    var validator = sanidate.compile(schema);
+    options = normalizeOptions(options);
+    return function(req, res, next) {
+      readBody(req, req.body, options.limit || 1e6, function(err, body) {
+        if (err) { return next(err); }
+        if (body !== undefined) { req.body = body; }
+
+        var url = req.url || '';
+        var qs = url.indexOf('?') > -1 ? url.slice(url.indexOf('?') + 1) : '';
+        var data = gatherData({
+          params: req.params,
+          body: req.body,
+          query: req.query || parseQuery(qs),
+          headers: req.headers
+        }, options.source || defaultSources, validator.params);
+
+        sanidate.check(data, validator, options, function(err, data) {
+          handleResult(err, data, req, options, function(status, body) {
+            res.statusCode = status;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(body));
+          }, next);
+        });
+      });
+    };
+  };
+
+  /**
+   * ## sanidate.frag([schema], [options])
    *
-   * FragRouter middleware. Currently, passing schema does absolutely nothing.
+   * FragRouter middleware. 
    *
    * Using this middleware, you can call `sanidate.check` as `this.sanidate()`.
    * The method signature is the same as for `sanidate.check`.
    *
-   * @param {Object} schema Sanidation schema (does nothing)
+   * If schema is passed, route parameters (`this.params`) and querystring
+   * (`this.query`) are sanidated before the next middleware or handler is
+   * called. The sanidated data is stored in `this.data`, and validation
+   * errors, if any, in `this.dataErrors`. System errors are passed on to
+   * `next()`.
+   *
+   * Options are the same as for `sanidate.express`, except that `respond` is
+   * not supported, and `source` defaults to `['params', 'query']`.
+   *
+   * The `sanidate.frag` function itself can also be used as a middleware
+   * when no schema is needed.
+   *
+   * @param {Object} schema Optional sanidation schema
+   * @param {Object} options Optional middleware and sanidation options
    */
-  sanidate.frag = function(schema) {
+  sanidate.frag = function(schema, options) {
+    if (typeof schema === 'function') {
+      // Used directly as middleware, so schema is really `next`
+      return sanidate.frag().call(this, schema);
+    }
+
+    var validator = schema && sanidate.compile(schema);
+    options = extend(extend({}, normalizeOptions(options)), {respond: false});
     return function(next) {
-      this.sanidateFuncs = sanidate.funcs;
-      this.sanidate = sanidate.check;
+      var self = this;
+      self.sanidateFuncs = sanidate.funcs;
+      self.sanidate = sanidate.check;
+      if (!validator) { return next(); }
+
+      var data = gatherData(self, options.source || ['params', 'query'],
+                            validator.params);
+      sanidate.check(data, validator, options, function(err, data) {
+        handleResult(err, data, self, options, null, next);
+      });
+    };
+  };
+
+  /**
+   * ## sanidate.frag.route(schema, handler, [options])
+   *
+   * Wraps a FragRouter route handler so that the route's parameters and
+   * querystring are sanidated using a per-route schema before the handler is
+   * called. This works the same way as `sanidate.frag(schema)` middleware,
+   * but only for a single route. Handler is called with the same context and
+   * arguments as the wrapper.
+   *
+   * Since there is no `next()` to pass system errors to, they are passed to
+   * the `onError` option, which is called with the same context as the
+   * handler, and the error object as the only argument. If there is no
+   * `onError` option, the error is rethrown asynchronously (on a fresh
+   * stack, not from within sanidation), so it reaches the usual handling of
+   * uncaught errors (e.g., `window.onerror`). Either way, the handler is not
+   * called.
+   *
+   *     sanidate.frag.route(schema, showProject, {
+   *       onError: function(err) {
+   *         showMessage('Project cannot be loaded, please try again');
+   *       }
+   *     });
+   *
+   * @param {Object} schema Sanidation schema
+   * @param {Function} handler Route handler
+   * @param {Object} options Optional middleware and sanidation options
+   */
+  sanidate.frag.route = function(schema, handler, options) {
+    var middleware = sanidate.frag(schema, options);
+    return function() {
+      var self = this;
+      var args = arguments;
+      middleware.call(self, function(err) {
+        if (err && options && typeof options.onError === 'function') {
+          return options.onError.call(self, err);
+        }
+        // Throwing here could end up inside a constraint's promise callback
+        if (err) { return defer(function() { throw err; }); }
+        handler.apply(self, args);
+      });
+    };
+  };
+
+  function readFormData(form, params) {
+    var formData = new (form.ownerDocument.defaultView.FormData)(form);
+    var data = {};
+
+    params.forEach(function(param) {
+      var field = form.elements.namedItem(param.path);
+      var values = formData.getAll(param.path)
+        .concat(formData.getAll(param.path + '[]'))
+        .filter(function(v) {
+          // Empty file inputs are submitted as nameless empty files
+          return typeof v === 'string' || v.name || v.size;
+        });
+      var isArray = values.length > 1 || 
+        formData.getAll(param.path + '[]').length > 0 ||
+        (field && field.type === 'select-multiple') ||
+        (field && !field.type && field.length && 
+         field[0].type === 'checkbox');
+
+      if (isArray) {
+        data[param.path] = values;
+      } else if (values.length) {
+        data[param.path] = values[0];
+      }
+    });
+    return data;
+  }
+
+  /**
+   * ## sanidate.form(form, schema, [options])
+   *
+   * Binds sanidation to a form element without any dependencies other than
+   * the DOM. Values are read using `FormData`, so they are the same values
+   * the browser would submit: repeated names (and names ending in `[]`, like
+   * `tags[]` for `tags` parameter) result in arrays, multiple selects and
+   * checkbox groups always result in arrays, and file inputs result in `File`
+   * objects (or arrays of them). Empty file inputs are treated as missing
+   * values. For example:
+   *
+   *     <input name="name" value="">           // name: ''
+   *     <input name="a" value="1">
+   *     <input name="a" value="2">             // a: ['1', '2']
+   *     <input name="tags[]" value="x">        // tags: ['x']
+   *     <select name="colors" multiple>
+   *       <option selected>red</option>
+   *       <option>blue</option>
+   *     </select>                              // colors: ['red']
+   *     <input type="checkbox" name="opts" value="o1" checked>
+   *     <input type="checkbox" name="opts" value="o2">  // opts: ['o1']
+   *     <input type="checkbox" name="agree">   // agree: missing (unchecked)
+   *     <input type="radio" name="size">       // size: missing (unchecked)
+   *     <input type="file" name="avatar">      // avatar: missing (no file)
+   *
+   * Missing values are `undefined`, so they fail 'required', and they are
+   * skipped by 'optional'.
+   *
+   * In addition to `sanidate.check` options, following options are
+   * supported:
+   *
+   *  + `on`: Event name, or array of event names which trigger sanidation of
+   *    the whole form; 'submit' and 'input' are the usual choices, but any
+   *    event fired on the form or bubbling up to it can be used (default:
+   *    'submit')
+   *  + `submit`: If set, the form is submitted normally when it's valid;
+   *    otherwise, the submission is always prevented, and it's up to the
+   *    'sanidate:valid' event listener to handle the data (default: false)
+   *
+   * When form is sanidated, one of the following events is dispatched on the
+   * form element (they all bubble):
+   *
+   *  + 'sanidate:valid': Form is valid, `event.detail.data` contains
+   *    sanidated data
+   *  + 'sanidate:invalid': Form is invalid, `event.detail.errors` and
+   *    `event.detail.messages` contain the error maps from the error object
+   *    (also available as `event.detail.error`), and `event.detail.data`
+   *    contains the partially sanidated data
+   *  + 'sanidate:error': There was a system error (see 'System errors'
+   *    section), which is available as `event.detail.error`
+   *
+   * In all cases, `event.detail.trigger` is the event which triggered
+   * sanidation (`null` when `validate()` is called directly).
+   *
+   * Returns an object with following methods:
+   *
+   *  + `validate([cb])`: Sanidates the form and dispatches the events; the
+   *    return value and `cb` are the same as for `sanidate.check`
+   *  + `destroy()`: Removes the event listeners from the form
+   *
+   *     var binding = sanidate.form(document.forms.user, schema, {
+   *       on: ['submit', 'input']
+   *     });
+   *
+   *     document.forms.user.addEventListener('sanidate:valid', function(e) {
+   *       if (e.detail.trigger && e.detail.trigger.type === 'submit') {
+   *         send(e.detail.data);
+   *       }
+   *     });
+   *
+   * @param {Object} form Form element
+   * @param {Object} schema Sanidation schema
+   * @param {Object} options Optional binding and sanidation options
+   * @return {Object} Binding object
+   */
+  sanidate.form = function(form, schema, options) {
+    var validator = sanidate.compile(schema);
+    var win = form.ownerDocument.defaultView;
+    var events;
+
+    options = normalizeOptions(options);
+    events = [].concat(options.on || 'submit');
+
+    function dispatch(name, detail) {
+      form.dispatchEvent(new win.CustomEvent(name, {
+        detail: detail,
+        bubbles: true
+      }));
+    }
+
+    function validate(trigger, cb) {
+      var data = readFormData(form, validator.params);
+      return sanidate.check(data, validator, options, function(err, data) {
+        if (systemError(err)) {
+          dispatch('sanidate:error', {
+            error: systemError(err), 
+            trigger: trigger
+          });
+        } else if (err) {
+          dispatch('sanidate:invalid', {
+            error: err,
+            errors: err.errors,
+            messages: err.messages,
+            data: data,
+            trigger: trigger
+          });
+        } else {
+          dispatch('sanidate:valid', {data: data, trigger: trigger});
+          if (trigger && trigger.type === 'submit' && options.submit) {
+            // Fields named 'submit' shadow the form's `submit` method
+            win.HTMLFormElement.prototype.submit.call(form);
+          }
+        }
+        if (cb) { cb(err, data); }
+      });
+    }
+
+    function listener(e) {
+      if (e.type === 'submit') { e.preventDefault(); }
+      validate(e);
+    }
+
+    events.forEach(function(name) {
+      form.addEventListener(name, listener);
+    });
+
+    return {
+      validate: function(cb) {
+        if (cb) { return validate(null, cb); }
+        return new sanidate.Promise(function(resolve, reject) {
+          validate(null, function(err, data) {
+            if (systemError(err)) { return reject(systemError(err)); }
+            resolve({errors: err, data: data});
+          });
+        });
+      },
+      destroy: function() {
+        events.forEach(function(name) {
+          form.removeEventListener(name, listener);
+        });
+      }
     };
   };
 
+  /**
+   * ## sanidate.jQuery(jQuery)
+   *
+   * Attaches the `jQuery.fn.sanidate` plugin to passed jQuery object. This is
+   * done automatically if jQuery is present when Sanidate is loaded.
+   *
+   * ### $(form).sanidate(schema, [options], [cb])
+   *
+   * Reads values of form fields matching the parameters in the schema, and
+   * sanidates them. Fields are matched by name, and names ending in `[]` also
+   * match (e.g., `tags[]` for `tags` parameter). Disabled fields are ignored.
+   * Values are read the way browsers submit them:
+   *
+   *  + single checkbox: its value if checked, otherwise `undefined`
+   *  + multiple checkboxes with same name (or name ending in `[]`): array of
+   *    values of checked checkboxes
+   *  + radio group: value of the checked radio, otherwise `undefined`
+   *  + multiple select: array of selected values
+   *  + multiple other fields with same name: array of their values
+   *
+   * Options are the same as for `sanidate.check`, with following additions:
+   *
+   *  + `live`: Validate individual fields as the user interacts with them,
+   *    and block form submission until the form is valid (see below)
+   *  + `events`: Events on which a field is validated in live mode (default:
+   *    'focusout change')
+   *  + `revalidateEvents`: Events on which a field is validated in live mode
+   *    only if it's already marked as invalid (default: 'input')
+   *  + `errorClass`: Class added to invalid fields (default:
+   *    'sanidate-error')
+   *  + `validClass`: Class added to valid fields (default: 'sanidate-valid')
+   *  + `messageClass`: Class of the message elements (default:
+   *    'sanidate-message')
+   *  + `messageElement`: Tag name of the message elements (default: 'span')
+   *
+   * Without the `live` option, data is sanidated immediately, and `cb` is
+   * called with the usual error and data objects.
+   *
+   * In live mode, fields are validated using `sanidate.checkParam` when one
+   * of the `events` fires. Invalid fields get the `errorClass` class and
+   * `aria-invalid="true"` attribute, and an element with the error message
+   * is inserted after the field (after the last field for checkbox and radio
+   * groups), and referenced by the `aria-describedby` attribute. Valid fields
+   * get the `validClass` class and `aria-invalid="false"` attribute, and the
+   * message element is removed.
+   *
+   * When the form is submitted in live mode, the submission is blocked and
+   * the whole form is sanidated, and all fields are marked. If form is not
+   * valid, first invalid field receives focus. If `cb` is passed, it's
+   * called with the error and data objects, and the form element as `this`,
+   * and it's up to the callback to submit the form (e.g., using AJAX). If
+   * there is no callback, the form is submitted normally when it's valid.
+   *
+   *     $('#myForm').sanidate(schema, {live: true}, function(err, data) {
+   *       if (err) { return; }
+   *       $.post(this.action, data);
+   *     });
+   *
+   * Live mode can be turned off by calling `$(form).off('.sanidate')`. The
+   * plugin returns the jQuery object for chaining.
+   *
+   * @param {Object} jQuery The jQuery object
+   */
   sanidate.jQuery = function(jQuery) {
-    jQuery.fn.sanidate = function(schema, cb) {
-      var form = jQuery(this);
+    var messageCounter = 0;
+
+    function fieldsFor(form, name) {
+      return form.find(':input').filter(function() {
+        return !this.disabled && 
+          (this.name === name || this.name === name + '[]');
+      });
+    }
+
+    function fieldValue(fields) {
+      var first = fields[0];
+      if (!first) { return undefined; }
+
+      if (first.type === 'checkbox') {
+        var checked = fields.filter(':checked').map(function() {
+          return this.value;
+        }).get();
+        if (fields.length > 1 || /\[\]$/.test(first.name)) { return checked; }
+        return checked.length ? checked[0] : undefined;
+      }
+      if (first.type === 'radio') {
+        return fields.filter(':checked').val();
+      }
+      if (first.type === 'select-multiple') {
+        return jQuery(first).val() || [];
+      }
+      if (fields.length > 1) {
+        return fields.map(function() { return this.value; }).get();
+      }
+      return first.value;
+    }
+
+    function formData(form, params) {
       var data = {};
-      Object.keys(schema).forEach(function(param) {
-        data[param] = form.find(':input[name=' + param + ']').val();
+      params.forEach(function(param) {
+        data[param.path] = fieldValue(fieldsFor(form, param.path));
+      });
+      return data;
+    }
+
+    function updateTokens(attr, token, add) {
+      var tokens = (attr || '').split(/\s+/).filter(function(t) {
+        return t && t !== token;
+      });
+      if (add) { tokens.push(token); }
+      return tokens.length ? tokens.join(' ') : null;
+    }
+
+    function markFields(fields, messages, settings) {
+      var invalid = messages.length > 0;
+      var message = fields.first().data('sanidateMessage');
+
+      fields
+        .toggleClass(settings.errorClass, invalid)
+        .toggleClass(settings.validClass, !invalid)
+        .attr('aria-invalid', invalid ? 'true' : 'false');
+
+      if (!invalid) {
+        if (message) {
+          fields.each(function() {
+            var field = jQuery(this);
+            field.attr('aria-describedby', updateTokens(
+              field.attr('aria-describedby'), message.attr('id'), false));
+          });
+          message.remove();
+          fields.first().removeData('sanidateMessage');
+        }
+        return;
+      }
+
+      if (!message) {
+        message = jQuery('<' + settings.messageElement + '>').attr({
+          id: 'sanidate-message-' + (++messageCounter),
+          'class': settings.messageClass,
+          role: 'alert'
+        });
+        fields.last().after(message);
+        fields.first().data('sanidateMessage', message);
+        fields.each(function() {
+          var field = jQuery(this);
+          field.attr('aria-describedby', updateTokens(
+            field.attr('aria-describedby'), message.attr('id'), true));
+        });
+      }
+      message.text(messages.join(' '));
+    }
+
+    function errorMessages(err, path) {
+      var messages = [];
+      if (!err) { return messages; }
+      Object.keys(err.messages).forEach(function(key) {
+        if (key === path || key.indexOf(path + '.') === 0) {
+          messages = messages.concat(err.messages[key]);
+        }
+      });
+      return messages;
+    }
+
+    function submitForm(formEl) {
+      // Fields named 'submit' shadow the form's `submit` method
+      var submit = typeof HTMLFormElement === 'function' ? 
+        HTMLFormElement.prototype.submit : formEl.submit;
+      submit.call(formEl);
+    }
+
+    function bindLive(form, validator, settings, cb) {
+      var params = validator.params;
+
+      function paramFor(field) {
+        var name = field.name.replace(/\[\]$/, '');
+        return params.filter(function(param) {
+          return param.path === name;
+        })[0];
+      }
+
+      function validateField(field) {
+        var param = paramFor(field);
+        if (!param) { return; }
+        var fields = fieldsFor(form, param.path);
+        var data = formData(form, params);
+        sanidate.checkParam(param.path, data[param.path], param.constraints,
+                            data, settings, function(err, val, name, msg) {
+          if (err) { return; }
+          markFields(fields, val === null ? [].concat(msg) : [], settings);
+        });
+      }
+
+      form.off('.sanidate');
+
+      form.on(settings.events.replace(/(\S+)/g, '$1.sanidate'), ':input', 
+              function() {
+        validateField(this);
+      });
+
+      form.on(settings.revalidateEvents.replace(/(\S+)/g, '$1.sanidate'), 
+              ':input', function() {
+        if (jQuery(this).attr('aria-invalid') === 'true') {
+          validateField(this);
+        }
+      });
+
+      form.on('submit.sanidate', function(e) {
+        var formEl = this;
+        e.preventDefault();
+        sanidate.check(formData(form, params), validator, settings, 
+                       function(err, data) {
+          var firstInvalid;
+          if (!systemError(err)) {
+            params.forEach(function(param) {
+              var fields = fieldsFor(form, param.path);
+              var messages = errorMessages(err, param.path);
+              markFields(fields, messages, settings);
+              if (messages.length && !firstInvalid) { 
+                firstInvalid = fields.first(); 
+              }
+            });
+          }
+          if (firstInvalid) { firstInvalid.trigger('focus'); }
+          if (cb) { return cb.call(formEl, err, data); }
+          if (!err) { submitForm(formEl); }
+        });
+      });
+    }
+
+    jQuery.fn.sanidate = function(schema, options, cb) {
+      if (typeof options === 'function') {
+        cb = options;
+        options = {};
+      }
+
+      var validator = sanidate.compile(schema);
+      var settings = extend({
+        events: 'focusout change',
+        revalidateEvents: 'input',
+        errorClass: 'sanidate-error',
+        validClass: 'sanidate-valid',
+        messageClass: 'sanidate-message',
+        messageElement: 'span'
+      }, normalizeOptions(options));
+
+      return this.each(function() {
+        var form = jQuery(this);
+        if (settings.live) {
+          return bindLive(form, validator, settings, cb);
+        }
+        sanidate.check(formData(form, validator.params), validator, settings,
+                       cb);
       });
-      sanidate.check(data, schema, cb);
     };
   };
 